@@ -0,0 +1,108 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { normalizeBatch } from '../../src/analytics/analyticsEvents.js';
+import { renderDashboard, summarize } from './dashboard.js';
+
+const MAX_BODY = 64 * 1024;
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY) {
+      reject(Object.assign(new Error('Batch is too large.'), { status: 413 }));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+const LOOPBACK = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+// Basic auth, so a browser asks once and the dashboard's links keep working.
+// Any user name; the password is the token.
+const hasToken = (req, token) => {
+  const [scheme, encoded = ''] = (req.headers.authorization ?? '').split(' ');
+  if (scheme !== 'Basic') return false;
+  const password = Buffer.from(encoded, 'base64').toString('utf8').split(':').slice(1).join(':');
+  const given = crypto.createHash('sha256').update(password).digest();
+  return crypto.timingSafeEqual(given, crypto.createHash('sha256').update(token).digest());
+};
+
+export const readEvents = (file) => {
+  let lines;
+  try {
+    lines = fs.readFileSync(file, 'utf8').split('\n');
+  } catch {
+    return [];
+  }
+  return lines.flatMap((line) => {
+    try {
+      return line ? [JSON.parse(line)] : [];
+    } catch {
+      return [];
+    }
+  });
+};
+
+/**
+ * A request handler that stores event batches from src/analytics/analytics.js
+ * and shows what they add up to. `POST /events` appends each event, stamped
+ * with the time it arrived, as a line of JSON to `file`; `GET /` is the
+ * dashboard (`?days=7`, `30`, `90` or `all`). Addresses, user agents and
+ * requests sent with `DNT: 1` are never written down.
+ *
+ * With a `token`, the dashboard asks for it as the password; without one, it
+ * only answers requests from this machine.
+ *
+ * Plain Node (`(req, res, next)`), so it runs in the dev server
+ * (plugins/analytics) and on its own (server.js) alike.
+ */
+export const createCollector = ({ file, allowOrigin = '*', token }) => async (req, res, next = () => {}) => {
+  const url = new URL(req.url, 'http://localhost');
+  const cors = {
+    'Access-Control-Allow-Origin': allowOrigin,
+    'Access-Control-Allow-Methods': 'POST',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  };
+
+  if (url.pathname === '/events' && req.method === 'OPTIONS') {
+    res.writeHead(204, cors);
+    return res.end();
+  }
+
+  if (url.pathname === '/events' && req.method === 'POST') {
+    let events;
+    try {
+      events = normalizeBatch(JSON.parse(await readBody(req)));
+    } catch (err) {
+      res.writeHead(err.status || 400, { 'Content-Type': 'application/json', ...cors });
+      return res.end(JSON.stringify({ error: err.status ? err.message : 'Expected a JSON batch.' }));
+    }
+    if (req.headers.dnt !== '1' && events.length) {
+      const at = new Date().toISOString();
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, events.map(event => `${JSON.stringify({ ...event, at })}\n`).join(''));
+    }
+    res.writeHead(204, cors);
+    return res.end();
+  }
+
+  if (url.pathname === '/' && req.method === 'GET') {
+    if (token ? !hasToken(req, token) : !LOOPBACK.includes(req.socket.remoteAddress)) {
+      res.writeHead(401, { 'Content-Type': 'text/plain', ...(token && { 'WWW-Authenticate': 'Basic realm="Analytics"' }) });
+      return res.end('Not allowed');
+    }
+    const days = url.searchParams.get('days') ?? '30';
+    const summary = summarize(readEvents(file), { days: days === 'all' ? null : Number(days) || 30, now: new Date() });
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    return res.end(renderDashboard(summary));
+  }
+
+  return next();
+};
@@ -0,0 +1,120 @@
+// The collector's dashboard: one server-rendered page of counts, in the
+// site's black and gold, with no scripts of its own.
+
+const DAY = 24 * 60 * 60 * 1000;
+const RANGES = ['7', '30', '90', 'all'];
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const countBy = (events, key) => {
+  const counts = new Map();
+  events.forEach((event) => {
+    const value = key(event);
+    if (value) counts.set(value, (counts.get(value) ?? 0) + 1);
+  });
+  return [...counts].sort((a, b) => b[1] - a[1]);
+};
+
+const ofType = (events, type) => events.filter(event => event.type === type);
+
+/** Totals for the last `days` days before `now` (every event when `days` is null). */
+export const summarize = (events, { days, now }) => {
+  const since = days ? now.getTime() - days * DAY : -Infinity;
+  const recent = events.filter(event => Date.parse(event.at) >= since);
+
+  const selects = new Map(countBy(ofType(recent, 'project_select'), event => event.props.project));
+  const repoClicks = new Map(countBy(ofType(recent, 'repo_click'), event => event.props.project));
+  const projects = [...new Set([...selects.keys(), ...repoClicks.keys()])]
+    .map(project => ({ project, selects: selects.get(project) ?? 0, repoClicks: repoClicks.get(project) ?? 0 }))
+    .sort((a, b) => b.selects + b.repoClicks - (a.selects + a.repoClicks));
+
+  const byDay = new Map();
+  recent.forEach((event) => {
+    const day = event.at.slice(0, 10);
+    if (!byDay.has(day)) byDay.set(day, { events: 0, visits: new Set() });
+    byDay.get(day).events += 1;
+    if (event.visit) byDay.get(day).visits.add(event.visit);
+  });
+
+  return {
+    days,
+    total: recent.length,
+    visits: new Set(recent.map(event => event.visit).filter(Boolean)).size,
+    sections: countBy(ofType(recent, 'section_view'), event => event.props.section),
+    projects,
+    downloads: countBy(ofType(recent, 'download'), event => event.props.file),
+    contacts: countBy(ofType(recent, 'contact_open'), event => event.props.from),
+    daily: [...byDay].sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, { events: count, visits }]) => ({ date, events: count, visits: visits.size })),
+  };
+};
+
+const bar = (value, max) => `<span class="bar" style="width:${max ? Math.round((value / max) * 100) : 0}%"></span>`;
+
+const table = (title, headings, rows) => `
+  <section>
+    <h2>${escapeHtml(title)}</h2>
+    ${rows.length ? `<table>
+      <tr>${headings.map(heading => `<th>${escapeHtml(heading)}</th>`).join('')}</tr>
+      ${rows.join('\n      ')}
+    </table>` : '<p class="empty">Nothing yet.</p>'}
+  </section>`;
+
+// Rows of `[label, count]` with a bar scaled to the largest count.
+const countRows = (counts) => {
+  const max = Math.max(...counts.map(([, count]) => count));
+  return counts.map(([label, count]) => `<tr><td>${escapeHtml(label)}</td><td class="count">${count}${bar(count, max)}</td></tr>`);
+};
+
+export const renderDashboard = (summary) => {
+  const range = summary.days ? String(summary.days) : 'all';
+  const maxVisits = Math.max(...summary.daily.map(day => day.visits));
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>Analytics</title>
+  <style>
+    body { margin: 0; padding: 40px 5%; background: #050505; color: #ccc; font: 15px/1.5 Inter, system-ui, sans-serif; }
+    h1 { margin: 0 0 8px; color: white; font-size: 2rem; letter-spacing: -0.02em; }
+    h2 { margin: 0 0 12px; color: #FFD700; font-size: 0.8rem; letter-spacing: 0.2em; text-transform: uppercase; }
+    nav a { margin-right: 14px; color: #888; text-decoration: none; }
+    nav a[aria-current] { color: #FFD700; font-weight: bold; }
+    .totals { display: flex; gap: 40px; margin: 30px 0; }
+    .totals strong { display: block; color: white; font-size: 2.4rem; font-weight: 800; }
+    .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 30px; }
+    section { padding: 20px; border: 1px solid rgba(255,255,255,0.1); border-radius: 15px; background: rgba(255,255,255,0.03); }
+    table { width: 100%; border-collapse: collapse; }
+    th { color: #888; font-weight: 500; text-align: left; }
+    th, td { padding: 6px 8px 6px 0; vertical-align: middle; }
+    td:first-child { word-break: break-all; }
+    .count { width: 45%; white-space: nowrap; }
+    .bar { display: inline-block; height: 6px; margin-left: 10px; max-width: 70%; border-radius: 3px; background: #FFD700; vertical-align: middle; }
+    .empty { color: #666; }
+  </style>
+</head>
+<body>
+  <h1>Analytics</h1>
+  <nav>${RANGES.map(days => `<a href="?days=${days}"${days === range ? ' aria-current="page"' : ''}>${days === 'all' ? 'All time' : `${days} days`}</a>`).join('')}</nav>
+  <div class="totals">
+    <div><strong>${summary.visits}</strong>visits</div>
+    <div><strong>${summary.total}</strong>events</div>
+  </div>
+  <div class="grid">
+    ${table('Sections reached', ['Section', 'Views'], countRows(summary.sections))}
+    ${table('Projects', ['Project', 'Selected', 'Repo clicks'], summary.projects.map(row => `<tr><td>${escapeHtml(row.project)}</td><td>${row.selects}</td><td>${row.repoClicks}</td></tr>`))}
+    ${table('Downloads', ['File', 'Downloads'], countRows(summary.downloads))}
+    ${table('Get in Touch', ['From', 'Clicks'], countRows(summary.contacts))}
+    ${table('Per day', ['Day', 'Visits', 'Events'], summary.daily.map(day => `<tr><td>${day.date}</td><td class="count">${day.visits}${bar(day.visits, maxVisits)}</td><td>${day.events}</td></tr>`))}
+  </div>
+</body>
+</html>
+`;
+};
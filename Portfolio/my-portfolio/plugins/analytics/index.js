@@ -0,0 +1,29 @@
+import path from 'node:path';
+import { createCollector } from './collector.js';
+
+const BASE = '/__analytics';
+
+/**
+ * The analytics collector (collector.js) inside `npm run dev`: the site posts
+ * its events to `/__analytics/events` while developing, and the dashboard is
+ * at `/__analytics/` (from this machine only). Deployed sites post to
+ * VITE_ANALYTICS_ENDPOINT, which can be the same collector run on its own
+ * (`npm run analytics`).
+ */
+export default function analyticsCollector({ outFile = '.cache/analytics-events.jsonl' } = {}) {
+  return {
+    name: 'analytics-collector',
+    apply: 'serve',
+
+    configureServer(server) {
+      const { logger, root } = server.config;
+      const collect = createCollector({ file: path.resolve(root, outFile) });
+      server.middlewares.use(BASE, (req, res, next) => {
+        collect(req, res, next).catch(err => {
+          logger.error(`[analytics] ${err.message}`, { timestamp: true });
+          next(err);
+        });
+      });
+    },
+  };
+}
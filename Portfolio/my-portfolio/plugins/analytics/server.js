@@ -0,0 +1,41 @@
+import http from 'node:http';
+import path from 'node:path';
+import { loadContent } from '../content/collections.js';
+import { createCollector } from './collector.js';
+
+// The analytics collector on its own, for a deployed site or `npm run
+// preview`: `npm run analytics`, then build with
+// VITE_ANALYTICS_ENDPOINT=http://localhost:8787/events. The dashboard is at
+// http://localhost:8787/.
+//
+// PORT, ANALYTICS_FILE, ANALYTICS_ALLOW_ORIGIN (the origin allowed to post;
+// site.json's `url` by default) and ANALYTICS_TOKEN configure it. Set the
+// token wherever the collector is reachable from elsewhere: it is the
+// dashboard's password, and without it the dashboard only opens on this machine.
+
+const siteOrigin = () => {
+  const root = process.cwd();
+  const { content } = loadContent({ dir: path.resolve(root, 'src/content'), root, publicDir: path.resolve(root, 'public') });
+  return new URL(content.site.url).origin;
+};
+
+const port = Number(process.env.PORT) || 8787;
+const file = path.resolve(process.env.ANALYTICS_FILE || '.cache/analytics-events.jsonl');
+const collect = createCollector({
+  file,
+  allowOrigin: process.env.ANALYTICS_ALLOW_ORIGIN || siteOrigin(),
+  token: process.env.ANALYTICS_TOKEN,
+});
+
+http.createServer((req, res) => {
+  collect(req, res, () => {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+  }).catch(err => {
+    console.error(err);
+    res.writeHead(500, { 'Content-Type': 'text/plain' });
+    res.end('Something went wrong');
+  });
+}).listen(port, () => {
+  console.log(`Analytics collector on http://localhost:${port}/, writing to ${file}`);
+});
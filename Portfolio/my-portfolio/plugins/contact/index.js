@@ -0,0 +1,92 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { HONEYPOT, normalizeContact, retryAfter, validateContact } from '../../src/contact/contactForm.js';
+
+const ENDPOINT = '/api/contact';
+const ADAPTERS = ['dev', 'webhook', 'mailto'];
+const MAX_BODY = 20 * 1024;
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY) {
+      reject(Object.assign(new Error('Message is too large.'), { status: 413 }));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+const send = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * `POST /api/contact` for `npm run dev`, so the contact form can be tried end
+ * to end without a backend. Messages get the form's own checks plus a per
+ * address rate limit, then are printed in the terminal and appended to
+ * `outFile`. Deployed sites use a webhook or mailto instead (see
+ * src/contact/contactAdapters.js); a build warns when VITE_CONTACT_ADAPTER
+ * asks for one it can't use, since the form then falls back to mailto.
+ */
+export default function contactEndpoint({ outFile = '.cache/contact-messages.jsonl' } = {}) {
+  const sentAt = new Map();
+  let config;
+
+  return {
+    name: 'contact-endpoint',
+
+    configResolved(resolved) {
+      config = resolved;
+    },
+
+    buildStart() {
+      if (config.command !== 'build' || config.build.ssr) return;
+      const { VITE_CONTACT_ADAPTER: choice, VITE_CONTACT_WEBHOOK: webhook } = config.env;
+      if (choice === 'webhook' && !webhook) this.warn('VITE_CONTACT_ADAPTER is "webhook" but VITE_CONTACT_WEBHOOK is not set; the form will use mailto.');
+      else if (choice && !ADAPTERS.includes(choice)) this.warn(`Unknown VITE_CONTACT_ADAPTER "${choice}"; the form will use mailto.`);
+    },
+
+    configureServer(server) {
+      const { logger, root } = server.config;
+      const file = path.resolve(root, outFile);
+
+      server.middlewares.use(ENDPOINT, async (req, res, next) => {
+        if (req.method !== 'POST') return next();
+        let body;
+        try {
+          body = JSON.parse(await readBody(req));
+        } catch (err) {
+          return send(res, err.status || 400, { error: err.status ? err.message : 'Expected a JSON body.' });
+        }
+
+        // Bots get the same answer as people, so there is nothing to learn from it.
+        if (body[HONEYPOT]) return send(res, 201, { ok: true });
+
+        const errors = validateContact(body);
+        if (Object.keys(errors).length) return send(res, 422, { error: 'Please check the highlighted fields.', errors });
+
+        const address = req.socket.remoteAddress;
+        const now = Date.now();
+        const times = sentAt.get(address) || [];
+        const wait = retryAfter(times, now);
+        if (wait) {
+          return send(res, 429, { error: 'Too many messages, please try again later.' }, { 'Retry-After': String(Math.ceil(wait / 1000)) });
+        }
+        sentAt.set(address, [...times, now]);
+
+        const message = { ...normalizeContact(body), receivedAt: new Date(now).toISOString() };
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.appendFileSync(file, `${JSON.stringify(message)}\n`);
+        logger.info(`[contact] ${message.name} <${message.email}>: ${message.message}`, { timestamp: true });
+        return send(res, 201, { ok: true });
+      });
+    },
+  };
+}
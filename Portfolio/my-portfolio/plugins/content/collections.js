@@ -0,0 +1,241 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseFrontmatter } from './frontmatter.js';
+import { fromJsonResume, resumeSchema } from './jsonResume.js';
+import { parseInline, parseParagraphs } from './markdown.js';
+import { readingTime, renderPost, summarize } from './posts.js';
+import { ContentError, asset, boolean, date, email, link, list, number, object, oneOf, string, url, validate, yearMonth } from './schema.js';
+
+const projectSchema = object({
+  title: string(),
+  order: number(),
+  category: string(),
+  image: asset(),
+  repo: url(),
+  role: string(),
+  // Skill names from skills.json; these drive the project filters.
+  tags: list(string()),
+  stack: list(string()),
+  outcomes: list(string(), { optional: true }),
+  // Extra screenshots shown after `image` on the project's own page.
+  gallery: list(asset(), { optional: true }),
+});
+
+const skillsSchema = list(object({
+  category: string(),
+  skills: list(string()),
+}));
+
+const TIMELINE_TYPES = ['education', 'internship', 'job', 'certification'];
+
+// `end` left out (or null) means the entry is still ongoing.
+const timelineSchema = list(object({
+  type: oneOf(TIMELINE_TYPES),
+  title: string(),
+  subtitle: string(),
+  start: yearMonth(),
+  end: yearMonth({ optional: true }),
+  details: list(string(), { optional: true }),
+  links: list(object({ label: string(), url: link() }), { optional: true }),
+}));
+
+const postSchema = object({
+  title: string(),
+  date: date(),
+  tags: list(string(), { optional: true }),
+  // Drafts show up in `npm run dev` only.
+  draft: boolean({ optional: true }),
+  summary: string({ optional: true }),
+});
+
+const siteFields = {
+  title: string(),
+  // Under the icon once the site is installed (plugins/pwa); defaults to the title.
+  shortName: string({ optional: true }),
+  description: string(),
+  author: string(),
+  headline: string(),
+  url: url(),
+  language: string(),
+};
+
+const siteSchema = object(siteFields);
+
+// With a JSON Resume, its `basics` supply these three.
+const resumeSiteSchema = object({
+  ...siteFields,
+  author: string({ optional: true }),
+  headline: string({ optional: true }),
+  url: url({ optional: true }),
+});
+
+const socialSchema = object({
+  github: url(),
+  linkedin: url(),
+  email: email(),
+});
+
+/**
+ * Reads and validates everything under `dir`. Returns the collections plus the
+ * files they came from (for watching), or throws a ContentError listing every
+ * problem found, not just the first.
+ *
+ * A JSON Resume at `dir/resume.json` takes the place of the files it covers:
+ * `basics` for social.json, bio.md and the site's author, headline and URL;
+ * `work`, `education` and `certificates` for timeline.json; `skills` for
+ * skills.json; `projects` for projects/.
+ */
+export const loadContent = ({ dir, root, publicDir, drafts = false }) => {
+  const problems = [];
+  const files = [];
+  const ctx = { publicDir };
+  const relative = (file) => path.relative(root, file);
+
+  const read = (file) => {
+    files.push(file);
+    try {
+      return fs.readFileSync(file, 'utf8');
+    } catch {
+      problems.push(`${relative(file)}: file is missing`);
+      return null;
+    }
+  };
+
+  const check = (file, value, schema) => {
+    const found = validate(value, schema, ctx, '');
+    problems.push(...found.map(problem => `${relative(file)}: ${problem}`));
+    return found.length === 0;
+  };
+
+  const readMarkdown = (file, schema) => {
+    const source = read(file);
+    if (source === null) return null;
+    try {
+      const parsed = parseFrontmatter(source);
+      return check(file, parsed.data, schema) ? parsed : null;
+    } catch (err) {
+      problems.push(`${relative(file)}: frontmatter is not valid YAML (${err.message})`);
+      return null;
+    }
+  };
+
+  const markdownFiles = (folder) => (fs.existsSync(folder)
+    ? fs.readdirSync(folder).filter(name => name.endsWith('.md')).sort()
+    : []);
+
+  const readJson = (name, schema) => {
+    const file = path.join(dir, name);
+    const source = read(file);
+    if (source === null) return null;
+    try {
+      const data = JSON.parse(source);
+      return check(file, data, schema) ? data : null;
+    } catch (err) {
+      problems.push(`${relative(file)}: ${err.message}`);
+      return null;
+    }
+  };
+
+  const resumeFile = path.join(dir, 'resume.json');
+  let imported = {};
+  if (fs.existsSync(resumeFile)) {
+    const resume = readJson('resume.json', resumeSchema);
+    // The other files' problems would only be noise until the resume itself is valid.
+    if (!resume) throw new ContentError(problems);
+    imported = fromJsonResume(resume);
+  }
+
+  // Projects: one Markdown file each. The file name is the slug, the body the description.
+  const projectsDir = path.join(dir, 'projects');
+  const readProjects = () => {
+    const projectFiles = markdownFiles(projectsDir);
+    if (!projectFiles.length) problems.push(`${relative(projectsDir)}: no projects found`);
+    const found = projectFiles.flatMap(name => {
+      const file = path.join(projectsDir, name);
+      const parsed = readMarkdown(file, projectSchema);
+      if (!parsed) return [];
+      const description = parseParagraphs(parsed.body).join('\n\n');
+      if (!description) problems.push(`${relative(file)}: needs a description below the frontmatter`);
+      return [{ slug: name.replace(/\.md$/, ''), ...parsed.data, description }];
+    }).sort((a, b) => a.order - b.order);
+
+    found.forEach((project, i) => {
+      if (i > 0 && project.order === found[i - 1].order) {
+        problems.push(`${relative(projectsDir)}: "${found[i - 1].slug}" and "${project.slug}" share order ${project.order}`);
+      }
+    });
+    return found;
+  };
+  const projects = imported.projects ?? readProjects();
+  const projectSource = (project) => (imported.projects
+    ? `${relative(resumeFile)}: project "${project.slug}"`
+    : relative(path.join(projectsDir, `${project.slug}.md`)));
+
+  if (imported.projects) {
+    const seen = new Set();
+    projects.forEach(project => {
+      if (seen.has(project.slug)) problems.push(`${projectSource(project)}: another project has the same slug`);
+      seen.add(project.slug);
+    });
+  }
+
+  const readBio = () => {
+    const bioFile = path.join(dir, 'bio.md');
+    const bioSource = read(bioFile);
+    const paragraphs = bioSource === null ? [] : parseParagraphs(bioSource).map(parseInline);
+    if (bioSource !== null && !paragraphs.length) problems.push(`${relative(bioFile)}: needs at least one paragraph`);
+    return paragraphs;
+  };
+  const bio = imported.bio ?? readBio();
+
+  // Oldest first; "2024" sorts before "2024-06", and ongoing entries sort last among equals.
+  const timelineFile = imported.timeline ? resumeFile : path.join(dir, 'timeline.json');
+  const timeline = (imported.timeline ?? readJson('timeline.json', timelineSchema) ?? []).sort((a, b) => (
+    a.start.localeCompare(b.start) || (a.end ?? '9999').localeCompare(b.end ?? '9999')
+  ));
+  timeline.forEach(entry => {
+    if (entry.end && entry.end < entry.start) {
+      problems.push(`${relative(timelineFile)}: "${entry.title}" ends (${entry.end}) before it starts (${entry.start})`);
+    }
+  });
+
+  const skills = imported.skills ?? readJson('skills.json', skillsSchema);
+  if (skills) {
+    const known = new Set(skills.flatMap(group => group.skills));
+    const skillsFile = imported.skills ? 'resume.json' : 'skills.json';
+    projects.forEach(project => project.tags.forEach(tag => {
+      if (!known.has(tag)) problems.push(`${projectSource(project)}: tag "${tag}" is not a skill in ${skillsFile}`);
+    }));
+  }
+
+  // Posts: one Markdown file each, newest first. The file name is the slug.
+  const postsDir = path.join(dir, 'posts');
+  const posts = markdownFiles(postsDir).flatMap(name => {
+    const parsed = readMarkdown(path.join(postsDir, name), postSchema);
+    if (!parsed || (parsed.data.draft && !drafts)) return [];
+    return [{
+      slug: name.replace(/\.md$/, ''),
+      tags: [],
+      draft: false,
+      ...parsed.data,
+      summary: parsed.data.summary || summarize(parsed.body),
+      readingTime: readingTime(parsed.body),
+      html: renderPost(parsed.body),
+    }];
+  }).sort((a, b) => b.date.localeCompare(a.date) || a.title.localeCompare(b.title));
+
+  const site = readJson('site.json', imported.site ? resumeSiteSchema : siteSchema);
+
+  const content = {
+    site: site && { ...site, ...imported.site },
+    projects,
+    posts,
+    skills,
+    timeline,
+    social: imported.social ?? readJson('social.json', socialSchema),
+    bio,
+  };
+
+  if (problems.length) throw new ContentError(problems);
+  return { content, files };
+};
@@ -0,0 +1,63 @@
+// RSS 2.0 and Atom feeds for the writing section, written into the build output.
+
+const FEED_SIZE = 20;
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const absolute = (site, pathname) => new URL(pathname, site.url).href;
+const postUrl = (site, post) => absolute(site, `/writing/${post.slug}`);
+// Posts carry a day, not a time; publish them at midnight UTC.
+const timestamp = (day) => new Date(`${day}T00:00:00Z`);
+
+export const rssFeed = ({ site, posts }) => {
+  const items = posts.slice(0, FEED_SIZE).map(post => `    <item>
+      <title>${escapeXml(post.title)}</title>
+      <link>${postUrl(site, post)}</link>
+      <guid isPermaLink="true">${postUrl(site, post)}</guid>
+      <pubDate>${timestamp(post.date).toUTCString()}</pubDate>
+      <description>${escapeXml(post.summary)}</description>
+${post.tags.map(tag => `      <category>${escapeXml(tag)}</category>\n`).join('')}      <content:encoded>${escapeXml(post.html)}</content:encoded>
+    </item>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeXml(`${site.title} · Writing`)}</title>
+    <link>${absolute(site, '/writing')}</link>
+    <atom:link href="${absolute(site, '/rss.xml')}" rel="self" type="application/rss+xml"/>
+    <description>${escapeXml(site.description)}</description>
+    <language>${escapeXml(site.language)}</language>
+${posts.length ? `    <lastBuildDate>${timestamp(posts[0].date).toUTCString()}</lastBuildDate>\n` : ''}${items.join('\n')}
+  </channel>
+</rss>
+`;
+};
+
+export const atomFeed = ({ site, posts }) => {
+  const updated = (posts.length ? timestamp(posts[0].date) : new Date(0)).toISOString();
+  const entries = posts.slice(0, FEED_SIZE).map(post => `  <entry>
+    <title>${escapeXml(post.title)}</title>
+    <link href="${postUrl(site, post)}"/>
+    <id>${postUrl(site, post)}</id>
+    <published>${timestamp(post.date).toISOString()}</published>
+    <updated>${timestamp(post.date).toISOString()}</updated>
+    <summary>${escapeXml(post.summary)}</summary>
+${post.tags.map(tag => `    <category term="${escapeXml(tag)}"/>\n`).join('')}    <content type="html">${escapeXml(post.html)}</content>
+  </entry>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(site.language)}">
+  <title>${escapeXml(`${site.title} · Writing`)}</title>
+  <subtitle>${escapeXml(site.description)}</subtitle>
+  <link href="${absolute(site, '/writing')}"/>
+  <link href="${absolute(site, '/atom.xml')}" rel="self" type="application/atom+xml"/>
+  <id>${absolute(site, '/writing')}</id>
+  <updated>${updated}</updated>
+  <author><name>${escapeXml(site.author)}</name></author>
+${entries.join('\n')}
+</feed>
+`;
+};
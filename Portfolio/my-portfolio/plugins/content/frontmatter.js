@@ -0,0 +1,10 @@
+import { parse } from 'yaml';
+
+const FENCE = /^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/;
+
+// Splits a Markdown file into its YAML frontmatter and body. Throws on bad YAML.
+export const parseFrontmatter = (source) => {
+  const match = source.match(FENCE);
+  if (!match) return { data: {}, body: source };
+  return { data: parse(match[1]) ?? {}, body: source.slice(match[0].length) };
+};
@@ -0,0 +1,98 @@
+import path from 'node:path';
+import { loadContent } from './collections.js';
+import { atomFeed, rssFeed } from './feeds.js';
+
+const VIRTUAL_ID = 'virtual:content';
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+// Posts carry their rendered HTML, so they get a module of their own that only
+// the writing pages import.
+const POSTS_ID = 'virtual:posts';
+const RESOLVED_POSTS_ID = `\0${POSTS_ID}`;
+
+const FEEDS = {
+  'rss.xml': { type: 'application/rss+xml', render: rssFeed },
+  'atom.xml': { type: 'application/atom+xml', render: atomFeed },
+};
+
+const toModule = (exports) => Object.entries(exports)
+  .map(([name, value]) => `export const ${name} = ${JSON.stringify(value)};`)
+  .join('\n');
+
+/**
+ * Serves the portfolio's content files as `virtual:content` (and the blog as
+ * `virtual:posts`), validated against the schemas in collections.js. Invalid
+ * content fails the build (or shows the dev overlay) with one line per
+ * problem. Builds also get RSS and Atom feeds of the posts.
+ */
+export default function contentCollection({ dir = 'src/content' } = {}) {
+  let root;
+  let publicDir;
+  let ssr;
+  let contentDir;
+  let drafts;
+
+  const load = () => loadContent({ dir: contentDir, root, publicDir, drafts });
+
+  return {
+    name: 'content-collection',
+
+    configResolved(config) {
+      root = config.root;
+      ssr = Boolean(config.build.ssr);
+      publicDir = config.publicDir;
+      contentDir = path.resolve(root, dir);
+      drafts = config.command === 'serve';
+    },
+
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID;
+      if (id === POSTS_ID) return RESOLVED_POSTS_ID;
+    },
+
+    load(id) {
+      if (id !== RESOLVED_ID && id !== RESOLVED_POSTS_ID) return;
+      const { content, files } = load();
+      files.forEach(file => this.addWatchFile(file));
+      const { posts, ...rest } = content;
+      return id === RESOLVED_POSTS_ID ? toModule({ posts }) : toModule(rest);
+    },
+
+    transformIndexHtml() {
+      return Object.entries(FEEDS).map(([file, { type }]) => ({
+        tag: 'link',
+        attrs: { rel: 'alternate', type, title: 'Writing', href: `/${file}` },
+        injectTo: 'head',
+      }));
+    },
+
+    generateBundle() {
+      if (ssr) return;
+      const { content } = load();
+      Object.entries(FEEDS).forEach(([fileName, { render }]) => {
+        this.emitFile({ type: 'asset', fileName, source: render(content) });
+      });
+    },
+
+    configureServer(server) {
+      server.watcher.add(contentDir);
+      const reload = (file) => {
+        if (!file.startsWith(contentDir)) return;
+        [RESOLVED_ID, RESOLVED_POSTS_ID].forEach(id => {
+          const mod = server.moduleGraph.getModuleById(id);
+          if (mod) server.moduleGraph.invalidateModule(mod);
+        });
+        server.ws.send({ type: 'full-reload' });
+      };
+      server.watcher.on('add', reload);
+      server.watcher.on('change', reload);
+      server.watcher.on('unlink', reload);
+
+      Object.entries(FEEDS).forEach(([file, { type, render }]) => {
+        server.middlewares.use(`/${file}`, (req, res) => {
+          res.setHeader('Content-Type', `${type}; charset=utf-8`);
+          res.end(render(load().content));
+        });
+      });
+    },
+  };
+}
@@ -0,0 +1,244 @@
+import { parseInline, parseParagraphs } from './markdown.js';
+import { asset, date, email, link, list, object, string, url, yearMonth } from './schema.js';
+
+// Converts between the site's content and the JSON Resume format
+// (https://jsonresume.org/schema). Fields JSON Resume has no place for (project
+// images, skill tags, timeline links) travel as extra keys on the same items,
+// which the format allows, so an exported file imports back unchanged (bar the
+// bio's bold and italics: `summary` is plain text).
+
+const SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+const PROFILES = [
+  { key: 'github', network: 'GitHub' },
+  { key: 'linkedin', network: 'LinkedIn' },
+];
+
+const findProfile = (profiles, network) => profiles.find(profile => profile.network.toLowerCase() === network.toLowerCase());
+
+// JSON Resume dates may carry a day; the timeline only keeps the month.
+const resumeDate = (options) => ({
+  optional: Boolean(options?.optional),
+  check: (value, ctx, at) => (typeof value === 'string' && value.length > 7
+    ? date().check(value, ctx, at)
+    : yearMonth().check(value, ctx, at)),
+});
+
+const profilesSchema = {
+  optional: false,
+  check: (value, ctx, at) => {
+    const found = list(object({ network: string(), url: url() }, { open: true })).check(value, ctx, at);
+    if (found.length) return found;
+    return PROFILES.filter(({ network }) => !findProfile(value, network)).map(({ network }) => `${at} needs a ${network} profile`);
+  },
+};
+
+const linksSchema = list(object({ label: string(), url: link() }), { optional: true });
+
+// Only the parts the site uses are checked; everything else in the file is ignored.
+export const resumeSchema = object({
+  basics: object({
+    name: string(),
+    label: string(),
+    email: email(),
+    url: url(),
+    summary: string(),
+    profiles: profilesSchema,
+  }, { open: true, optional: true }),
+  work: list(object({
+    name: string(),
+    position: string(),
+    startDate: resumeDate(),
+    endDate: resumeDate({ optional: true }),
+    highlights: list(string(), { optional: true, min: 0 }),
+    url: url({ optional: true }),
+    links: linksSchema,
+  }, { open: true }), { optional: true, min: 0 }),
+  education: list(object({
+    institution: string(),
+    studyType: string(),
+    area: string({ optional: true }),
+    startDate: resumeDate(),
+    endDate: resumeDate({ optional: true }),
+    courses: list(string(), { optional: true, min: 0 }),
+    url: url({ optional: true }),
+    links: linksSchema,
+  }, { open: true }), { optional: true, min: 0 }),
+  certificates: list(object({
+    name: string(),
+    issuer: string(),
+    date: resumeDate(),
+    url: url({ optional: true }),
+    links: linksSchema,
+  }, { open: true }), { optional: true, min: 0 }),
+  skills: list(object({ name: string(), keywords: list(string()) }, { open: true }), { optional: true }),
+  projects: list(object({
+    name: string(),
+    description: string(),
+    highlights: list(string(), { optional: true, min: 0 }),
+    keywords: list(string()),
+    url: url(),
+    roles: list(string()),
+    type: string(),
+    image: asset(),
+    slug: string({ optional: true }),
+    tags: list(string(), { optional: true, min: 0 }),
+    gallery: list(asset(), { optional: true }),
+  }, { open: true }), { optional: true }),
+}, { open: true });
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const toYearMonth = (value) => value?.slice(0, 7);
+
+const nonEmpty = (items) => (items?.length ? items : undefined);
+
+// "B.Tech in Computer Science" <-> studyType "B.Tech", area "Computer Science".
+const DEGREE_SEPARATOR = ' in ';
+
+const absoluteUrl = (value, site) => new URL(value, site).href;
+
+const importedLinks = (item, label) => item.links ?? (item.url ? [{ label, url: item.url }] : undefined);
+
+/** Builds a JSON Resume document from the loaded content. */
+export const toJsonResume = ({ site, social, bio, timeline, projects, skills }) => {
+  // Newest first, as resumes usually read.
+  const entries = [...timeline].reverse();
+  const ofType = (...types) => entries.filter(entry => types.includes(entry.type));
+  const firstLink = (entry) => (entry.links?.length ? absoluteUrl(entry.links[0].url, site.url) : undefined);
+
+  return {
+    $schema: SCHEMA_URL,
+    basics: {
+      name: site.author,
+      label: site.headline,
+      email: social.email,
+      url: site.url,
+      summary: bio.map(paragraph => paragraph.map(segment => segment.text).join('')).join('\n\n'),
+      profiles: PROFILES.map(({ key, network }) => ({
+        network,
+        username: new URL(social[key]).pathname.split('/').filter(Boolean).pop(),
+        url: social[key],
+      })),
+    },
+    work: ofType('job', 'internship').map(entry => ({
+      name: entry.title,
+      position: entry.subtitle,
+      startDate: entry.start,
+      endDate: entry.end ?? undefined,
+      highlights: entry.details,
+      url: firstLink(entry),
+      type: entry.type,
+      links: entry.links,
+    })),
+    education: ofType('education').map(entry => {
+      const split = entry.subtitle.indexOf(DEGREE_SEPARATOR);
+      return {
+        institution: entry.title,
+        studyType: split === -1 ? entry.subtitle : entry.subtitle.slice(0, split),
+        area: split === -1 ? undefined : entry.subtitle.slice(split + DEGREE_SEPARATOR.length),
+        startDate: entry.start,
+        endDate: entry.end ?? undefined,
+        courses: entry.details,
+        url: firstLink(entry),
+        links: entry.links,
+      };
+    }),
+    certificates: ofType('certification').map(entry => ({
+      name: entry.title,
+      issuer: entry.subtitle,
+      date: entry.start,
+      url: firstLink(entry),
+      links: entry.links,
+    })),
+    skills: skills.map(group => ({ name: group.category, keywords: group.skills })),
+    projects: projects.map(project => ({
+      name: project.title,
+      description: project.description,
+      highlights: project.outcomes,
+      keywords: project.stack,
+      url: project.repo,
+      roles: [project.role],
+      type: project.category,
+      slug: project.slug,
+      image: project.image,
+      gallery: project.gallery,
+      tags: project.tags,
+    })),
+    meta: { canonical: `${site.url.replace(/\/$/, '')}/resume.json` },
+  };
+};
+
+/**
+ * Turns a validated JSON Resume document into content. Only the sections the
+ * document has are returned, so the content files can fill in the rest.
+ */
+export const fromJsonResume = (resume) => {
+  const content = {};
+
+  if (resume.basics) {
+    const { basics } = resume;
+    content.site = { author: basics.name, headline: basics.label, url: basics.url };
+    content.social = {
+      email: basics.email,
+      ...Object.fromEntries(PROFILES.map(({ key, network }) => [key, findProfile(basics.profiles, network).url])),
+    };
+    content.bio = parseParagraphs(basics.summary).map(parseInline);
+  }
+
+  if (resume.work || resume.education || resume.certificates) {
+    content.timeline = [
+      ...(resume.work || []).map(item => ({
+        type: item.type === 'internship' ? 'internship' : 'job',
+        title: item.name,
+        subtitle: item.position,
+        start: toYearMonth(item.startDate),
+        end: toYearMonth(item.endDate) ?? null,
+        details: nonEmpty(item.highlights),
+        links: importedLinks(item, 'Website'),
+      })),
+      ...(resume.education || []).map(item => ({
+        type: 'education',
+        title: item.institution,
+        subtitle: item.area ? `${item.studyType}${DEGREE_SEPARATOR}${item.area}` : item.studyType,
+        start: toYearMonth(item.startDate),
+        end: toYearMonth(item.endDate) ?? null,
+        details: nonEmpty(item.courses),
+        links: importedLinks(item, 'Website'),
+      })),
+      ...(resume.certificates || []).map(item => ({
+        type: 'certification',
+        title: item.name,
+        subtitle: item.issuer,
+        start: toYearMonth(item.date),
+        end: toYearMonth(item.date),
+        links: importedLinks(item, 'View Certificate'),
+      })),
+    ].map(entry => Object.fromEntries(Object.entries(entry).filter(([, value]) => value !== undefined)));
+  }
+
+  if (resume.skills) {
+    content.skills = resume.skills.map(group => ({ category: group.name, skills: group.keywords }));
+  }
+
+  if (resume.projects) {
+    // Without explicit tags, a project is tagged with the keywords that are also skills.
+    const known = new Set((resume.skills || []).flatMap(group => group.keywords));
+    content.projects = resume.projects.map((project, i) => ({
+      slug: project.slug ?? slugify(project.name),
+      title: project.name,
+      order: i + 1,
+      category: project.type,
+      image: project.image,
+      repo: project.url,
+      role: project.roles[0],
+      tags: project.tags ?? project.keywords.filter(keyword => known.has(keyword)),
+      stack: project.keywords,
+      ...(nonEmpty(project.highlights) && { outcomes: project.highlights }),
+      ...(project.gallery && { gallery: project.gallery }),
+      description: project.description,
+    }));
+  }
+
+  return content;
+};
@@ -0,0 +1,22 @@
+// Just enough Markdown for short prose: blank-line paragraphs, **strong** and
+// *emphasis*. HTML comments are dropped; everything else stays literal text.
+
+export const parseParagraphs = (source) => source
+  .replace(/<!--[\s\S]*?-->/g, '')
+  .split(/\r?\n\s*\r?\n/)
+  .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+  .filter(Boolean);
+
+const INLINE = /\*\*(.+?)\*\*|\*(.+?)\*/g;
+
+export const parseInline = (text) => {
+  const segments = [];
+  let last = 0;
+  for (const match of text.matchAll(INLINE)) {
+    if (match.index > last) segments.push({ text: text.slice(last, match.index) });
+    segments.push(match[1] !== undefined ? { text: match[1], strong: true } : { text: match[2], emphasis: true });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) segments.push({ text: text.slice(last) });
+  return segments;
+};
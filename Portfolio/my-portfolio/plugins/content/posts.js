@@ -0,0 +1,52 @@
+import { Marked } from 'marked';
+import hljs from 'highlight.js';
+
+// Blog posts are full Markdown (unlike the bio and project blurbs), rendered to
+// HTML at build time so no parser or highlighter ships to the browser.
+
+const WORDS_PER_MINUTE = 220;
+const SUMMARY_LENGTH = 200;
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const marked = new Marked({
+  gfm: true,
+  renderer: {
+    code({ text, lang }) {
+      const language = lang && hljs.getLanguage(lang) ? lang : null;
+      const html = language ? hljs.highlight(text, { language }).value : escapeHtml(text);
+      return `<pre><code class="hljs${language ? ` language-${language}` : ''}">${html}</code></pre>\n`;
+    },
+  },
+});
+
+const plainText = (markdown) => markdown
+  .replace(/```[\s\S]*?```/g, ' ')
+  .replace(/<!--[\s\S]*?-->/g, ' ')
+  .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+  .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/^\s*([-+*]|\d+\.)\s+/gm, '')
+  .replace(/[#>*_`~|]/g, ' ');
+
+// Prose at an average reading pace; code blocks aren't counted.
+export const readingTime = (markdown) => {
+  const words = plainText(markdown).split(/\s+/).filter(Boolean).length;
+  return Math.max(1, Math.round(words / WORDS_PER_MINUTE));
+};
+
+// The first paragraph, cut at a word boundary, for posts without a `summary`.
+export const summarize = (markdown) => {
+  const first = markdown
+    .replace(/```[\s\S]*?```/g, '')
+    .split(/\r?\n\s*\r?\n/)
+    .map(block => plainText(block).replace(/\s+/g, ' ').trim())
+    .find(Boolean) || '';
+  if (first.length <= SUMMARY_LENGTH) return first;
+  return `${first.slice(0, first.lastIndexOf(' ', SUMMARY_LENGTH))}…`;
+};
+
+export const renderPost = (markdown) => marked.parse(markdown);
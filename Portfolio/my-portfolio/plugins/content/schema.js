@@ -0,0 +1,121 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+// A tiny schema language for the content files. Every check returns a list of
+// problems naming the offending field (`repo`, `skills[2]`), which the loader
+// prefixes with the file, so a failed build says exactly what to fix.
+
+export class ContentError extends Error {
+  constructor(problems) {
+    super(`Invalid portfolio content:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ContentError';
+    this.problems = problems;
+  }
+}
+
+const isHttpUrl = (value) => {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'https:' || protocol === 'http:';
+  } catch {
+    return false;
+  }
+};
+
+const fieldName = (at) => at || 'file';
+const child = (at, key) => (at ? `${at}.${key}` : key);
+
+const rule = (test, message, options = {}) => ({
+  optional: Boolean(options.optional),
+  check: (value, ctx, at) => (test(value, ctx) ? [] : [`${fieldName(at)} ${typeof message === 'function' ? message(value) : message}`]),
+});
+
+export const string = (options) => rule(
+  value => typeof value === 'string' && value.trim() !== '',
+  'must be a non-empty string',
+  options,
+);
+
+export const number = (options) => rule(value => Number.isFinite(value), 'must be a number', options);
+
+export const url = (options) => rule(isHttpUrl, value => `must be an absolute http(s) URL, got ${JSON.stringify(value)}`, options);
+
+export const email = (options) => rule(
+  value => typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  value => `must be an email address, got ${JSON.stringify(value)}`,
+  options,
+);
+
+export const oneOf = (values, options) => rule(
+  value => values.includes(value),
+  value => `must be one of ${values.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`,
+  options,
+);
+
+export const boolean = (options) => rule(value => typeof value === 'boolean', 'must be true or false', options);
+
+const isCalendarDate = (value) => {
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return !Number.isNaN(time) && new Date(time).toISOString().startsWith(value);
+};
+
+// "2024-06-30", and a day that exists.
+export const date = (options) => rule(
+  value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && isCalendarDate(value),
+  value => `must be a date like "2024-06-30", got ${JSON.stringify(value)}`,
+  options,
+);
+
+// "2024" or "2024-06".
+export const yearMonth = (options) => rule(
+  value => typeof value === 'string' && /^\d{4}(-(0[1-9]|1[0-2]))?$/.test(value),
+  value => `must be a date like "2024" or "2024-06", got ${JSON.stringify(value)}`,
+  options,
+);
+
+// A file served from public/, written as a site path like "/GW.png".
+export const asset = (options) => ({
+  optional: Boolean(options?.optional),
+  check: (value, ctx, at) => {
+    if (typeof value !== 'string' || !value.startsWith('/')) {
+      return [`${fieldName(at)} must be a site path starting with "/", got ${JSON.stringify(value)}`];
+    }
+    if (!fs.existsSync(path.join(ctx.publicDir, value))) return [`${fieldName(at)} points to ${value}, which is not in public/`];
+    return [];
+  },
+});
+
+export const link = (options) => ({
+  optional: Boolean(options?.optional),
+  check: (value, ctx, at) => (isHttpUrl(value) ? [] : asset().check(value, ctx, at)),
+});
+
+export const list = (item, { min = 1, ...options } = {}) => ({
+  optional: Boolean(options.optional),
+  check: (value, ctx, at) => {
+    if (!Array.isArray(value)) return [`${fieldName(at)} must be a list`];
+    if (value.length < min) return [`${fieldName(at)} needs at least ${min} entr${min === 1 ? 'y' : 'ies'}`];
+    return value.flatMap((entry, i) => validate(entry, item, ctx, `${at}[${i}]`));
+  },
+});
+
+// Unknown keys are reported too, so a typo like `imgae` can't slip through as a
+// missing image. `open` objects let them through, for formats we only read part of.
+export const object = (shape, options) => ({
+  optional: Boolean(options?.optional),
+  check: (value, ctx, at) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return [`${fieldName(at)} must be an object`];
+    const unknown = options?.open ? [] : Object.keys(value)
+      .filter(key => !(key in shape))
+      .map(key => `unknown field "${child(at, key)}"`);
+    return [
+      ...Object.entries(shape).flatMap(([key, schema]) => validate(value[key], schema, ctx, child(at, key))),
+      ...unknown,
+    ];
+  },
+});
+
+export const validate = (value, schema, ctx, at) => {
+  if (value === undefined || value === null) return schema.optional ? [] : [`${fieldName(at)} is required`];
+  return schema.check(value, ctx, at);
+};
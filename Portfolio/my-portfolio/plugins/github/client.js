@@ -0,0 +1,100 @@
+// Minimal GitHub REST client for the repository stats shown on project cards.
+// Four requests per repository; a token (GITHUB_TOKEN) lifts the anonymous
+// rate limit of 60 requests an hour.
+
+const API = 'https://api.github.com';
+const REQUEST_TIMEOUT = 10000;
+const EXCERPT_LENGTH = 240;
+// Languages below this share of the code are folded into "Other".
+const MIN_LANGUAGE_SHARE = 0.01;
+
+export class GitHubError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'GitHubError';
+    this.status = status;
+  }
+}
+
+// "https://github.com/Owner/Repo(.git)(/...)" -> "owner/repo", or null for anything else.
+export const repoKey = (url) => {
+  try {
+    const { hostname, pathname } = new URL(url);
+    if (hostname !== 'github.com') return null;
+    const [owner, name] = pathname.split('/').filter(Boolean);
+    return owner && name ? `${owner}/${name.replace(/\.git$/, '')}`.toLowerCase() : null;
+  } catch {
+    return null;
+  }
+};
+
+const languageShares = (bytes) => {
+  const total = Object.values(bytes).reduce((sum, n) => sum + n, 0);
+  if (!total) return [];
+  const languages = [];
+  let other = 0;
+  Object.entries(bytes).sort((a, b) => b[1] - a[1]).forEach(([name, n]) => {
+    if (n / total >= MIN_LANGUAGE_SHARE) languages.push({ name, share: n / total });
+    else other += n;
+  });
+  if (other) languages.push({ name: 'Other', share: other / total });
+  return languages;
+};
+
+/**
+ * The first real paragraph of a README as plain text: headings, badges,
+ * images, HTML and code blocks are skipped, links keep their text.
+ */
+export const readmeExcerpt = (markdown) => {
+  const paragraph = markdown
+    .replace(/```[\s\S]*?```/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .split(/\r?\n\s*\r?\n/)
+    .map(block => block
+      .split(/\r?\n/)
+      .filter(line => !/^\s*(#|>|\||[-*_]{3,}\s*$)/.test(line))
+      .join(' ')
+      .replace(/<[^>]+>/g, '')
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/[*_`~]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim())
+    .find(text => text.length >= 40);
+  if (!paragraph) return null;
+  if (paragraph.length <= EXCERPT_LENGTH) return paragraph;
+  return `${paragraph.slice(0, paragraph.lastIndexOf(' ', EXCERPT_LENGTH))}…`;
+};
+
+// `missing` lists statuses that mean "nothing there" rather than an error.
+const request = async (path, { token, raw = false, missing = [] }) => {
+  const response = await fetch(`${API}${path}`, {
+    headers: {
+      Accept: raw ? 'application/vnd.github.raw+json' : 'application/vnd.github+json',
+      'X-GitHub-Api-Version': '2022-11-28',
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+  });
+  if (missing.includes(response.status)) return null;
+  if (!response.ok) throw new GitHubError(`GET ${path} failed with ${response.status} ${response.statusText}`, response.status);
+  return raw ? response.text() : response.json();
+};
+
+export const fetchRepoStats = async (key, { token } = {}) => {
+  const [repo, languages, commits, readme] = await Promise.all([
+    request(`/repos/${key}`, { token }),
+    request(`/repos/${key}/languages`, { token }),
+    // An empty repository answers 409 here.
+    request(`/repos/${key}/commits?per_page=1`, { token, missing: [409] }),
+    request(`/repos/${key}/readme`, { token, raw: true, missing: [404] }),
+  ]);
+  return {
+    stars: repo.stargazers_count,
+    forks: repo.forks_count,
+    lastCommit: commits?.[0]?.commit.committer.date ?? repo.pushed_at,
+    languages: languageShares(languages),
+    readme: readme ? readmeExcerpt(readme) : null,
+    fetchedAt: new Date().toISOString(),
+  };
+};
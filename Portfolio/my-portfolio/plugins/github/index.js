@@ -0,0 +1,118 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { loadEnv } from 'vite';
+import { loadContent } from '../content/collections.js';
+import { fetchRepoStats, repoKey } from './client.js';
+
+const VIRTUAL_ID = 'virtual:github-stats';
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+const MODES = ['live', 'cache', 'fixture', 'off'];
+const DAY = 24 * 60 * 60 * 1000;
+
+const readJson = (file) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Resolves every project's `repo` into stars, languages, last commit date and
+ * a README excerpt, served as `virtual:github-stats` (keyed by project slug).
+ *
+ * GITHUB_STATS picks where the numbers come from:
+ *   live    (default) refresh cache entries older than `maxAge` from the API
+ *   cache   only what is already in the cache file, no network
+ *   fixture the committed fixtures, for offline and reproducible builds
+ *   off     no stats at all
+ *
+ * The fixtures are placeholders (zero stars, a 1970 commit date), so a build
+ * that will be deployed must use `live` or `cache`. `vite build` refuses
+ * `fixture` unless GITHUB_STATS_FIXTURE_BUILD=1 says the output won't be.
+ *
+ * A failed request never fails the build: the project keeps its last cached
+ * stats, or shows none.
+ */
+export default function githubStats({
+  cacheFile = '.cache/github-stats.json',
+  fixtureFile = 'plugins/github/fixtures.json',
+  contentDir = 'src/content',
+  maxAge = DAY,
+} = {}) {
+  let root;
+  let publicDir;
+  let ssr;
+  let command;
+  let env;
+  let stats = {};
+
+  const projectRepos = () => {
+    try {
+      const { content } = loadContent({ dir: path.resolve(root, contentDir), root, publicDir });
+      return content.projects.map(project => ({ slug: project.slug, key: repoKey(project.repo) }));
+    } catch {
+      // Broken content is reported by the content collection plugin.
+      return [];
+    }
+  };
+
+  return {
+    name: 'github-stats',
+
+    configResolved(config) {
+      root = config.root;
+      publicDir = config.publicDir;
+      ssr = Boolean(config.build.ssr);
+      command = config.command;
+      env = { ...loadEnv(config.mode, config.envDir ?? root, 'GITHUB_'), ...process.env };
+    },
+
+    async buildStart() {
+      const requested = env.GITHUB_STATS || 'live';
+      if (!MODES.includes(requested)) this.error(`GITHUB_STATS must be one of ${MODES.join(', ')}, got "${requested}"`);
+      if (requested === 'fixture' && command === 'build' && env.GITHUB_STATS_FIXTURE_BUILD !== '1') {
+        this.error('GITHUB_STATS=fixture would publish placeholder repo stats; use live or cache, or set GITHUB_STATS_FIXTURE_BUILD=1 for a build that won\'t be deployed');
+      }
+      // The prerender's server build reads the cache the client build just
+      // wrote, so the prerendered pages hydrate with the same numbers.
+      const mode = ssr && requested === 'live' ? 'cache' : requested;
+      stats = {};
+      if (mode === 'off') return;
+
+      const source = mode === 'fixture' ? path.resolve(root, fixtureFile) : path.resolve(root, cacheFile);
+      const known = readJson(source);
+      const repos = projectRepos().filter(({ key }) => key);
+
+      if (mode === 'live') {
+        const stale = [...new Set(repos.map(({ key }) => key))]
+          .filter(key => !known[key] || Date.now() - Date.parse(known[key].fetchedAt) > maxAge);
+        const results = await Promise.allSettled(stale.map(key => fetchRepoStats(key, { token: env.GITHUB_TOKEN })));
+        results.forEach((result, i) => {
+          if (result.status === 'fulfilled') known[stale[i]] = result.value;
+          else {
+            const { message, cause } = result.reason;
+            this.warn(`${stale[i]}: ${message}${cause ? ` (${cause.message})` : ''}${known[stale[i]] ? ', using cached stats' : ''}`);
+          }
+        });
+        if (results.some(result => result.status === 'fulfilled')) {
+          fs.mkdirSync(path.dirname(source), { recursive: true });
+          fs.writeFileSync(source, `${JSON.stringify(known, null, 2)}\n`);
+        }
+      }
+
+      repos.forEach(({ slug, key }) => {
+        if (known[key]) stats[slug] = known[key];
+      });
+    },
+
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID;
+    },
+
+    load(id) {
+      if (id !== RESOLVED_ID) return;
+      return `export default ${JSON.stringify(stats)};`;
+    },
+  };
+}
@@ -0,0 +1,120 @@
+import fs from 'node:fs';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { Resvg } from '@resvg/resvg-js';
+import satori from 'satori';
+
+// The 1200x630 link preview cards, in the site's black and gold. Satori lays
+// out a small tree of flexbox elements as SVG and resvg rasterizes it, so the
+// build needs no browser. Inter comes from @fontsource (Satori can't read WOFF2).
+
+export const CARD_WIDTH = 1200;
+export const CARD_HEIGHT = 630;
+
+// Where a card is served from: the home page's is "home", each project's its slug.
+export const cardPath = (name) => `/og/${name}.png`;
+
+const GOLD = '#FFD700';
+const BLACK = '#050505';
+const MUTED = '#888888';
+
+const require = createRequire(import.meta.url);
+const FONT_WEIGHTS = [400, 700, 900];
+
+let fonts;
+const loadFonts = () => {
+  fonts ??= FONT_WEIGHTS.map(weight => ({
+    name: 'Inter',
+    weight,
+    style: 'normal',
+    data: fs.readFileSync(require.resolve(`@fontsource/inter/files/inter-latin-${weight}-normal.woff`)),
+  }));
+  return fonts;
+};
+
+const MIME_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.svg': 'image/svg+xml' };
+
+// Satori only takes images inline.
+export const dataUri = (file) => `data:${MIME_TYPES[path.extname(file).toLowerCase()]};base64,${fs.readFileSync(file).toString('base64')}`;
+
+const h = (type, style, ...children) => {
+  const kept = children.flat().filter(child => child !== null && child !== false);
+  // Satori reads any array as several children, even an empty one or one of one.
+  return { type, props: { style, children: kept.length > 1 ? kept : kept[0] } };
+};
+const img = (src, style) => ({ type: 'img', props: { src, style } });
+
+// Stand-in for the cube when no snapshot of the scene has been saved: three
+// gold faces of an isometric cube, split into a 3x3 grid.
+const CUBE_SVG = (() => {
+  const s = 60;
+  const dx = s * Math.cos(Math.PI / 6);
+  const dy = s / 2;
+  const faces = [
+    { origin: [0, 0], u: [dx, dy], v: [-dx, dy], fill: '#FFE34D' },
+    { origin: [-dx * 3, dy * 3], u: [dx, dy], v: [0, s], fill: '#D4AF37' },
+    { origin: [0, s * 3], u: [dx, -dy], v: [0, -s].map(n => -n), fill: '#A8860B' },
+  ];
+  const tiles = faces.flatMap(({ origin, u, v, fill }) => [0, 1, 2].flatMap(i => [0, 1, 2].map(j => {
+    const at = (a, b) => [origin[0] + u[0] * a + v[0] * b, origin[1] + u[1] * a + v[1] * b];
+    const corners = [at(i + 0.06, j + 0.06), at(i + 0.94, j + 0.06), at(i + 0.94, j + 0.94), at(i + 0.06, j + 0.94)];
+    return `<polygon points="${corners.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ')}" fill="${fill}"/>`;
+  })));
+  const width = dx * 6;
+  return `data:image/svg+xml;base64,${Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${-width / 2} 0 ${width} ${s * 6}">${tiles.join('')}</svg>`,
+  ).toString('base64')}`;
+})();
+
+const frame = (...children) => h('div', {
+  width: '100%', height: '100%', display: 'flex', background: BLACK, color: 'white', fontFamily: 'Inter',
+  backgroundImage: 'radial-gradient(circle at 75% 50%, rgba(255, 215, 0, 0.12) 0%, transparent 60%)',
+}, children);
+
+const footer = (site) => h('div', { display: 'flex', alignItems: 'center', gap: 16, color: MUTED, fontSize: 24 },
+  h('div', { width: 40, height: 4, background: GOLD }),
+  new URL(site.url).host,
+);
+
+const picture = (src, cover) => h('div', {
+  display: 'flex', width: 540, height: 440, borderRadius: 24, overflow: 'hidden',
+  border: '2px solid rgba(255, 215, 0, 0.35)', background: 'rgba(255, 255, 255, 0.03)',
+  alignItems: 'center', justifyContent: 'center',
+}, img(src, cover ? { width: '100%', height: '100%', objectFit: 'cover' } : { width: 340, height: 393 }));
+
+/** The home page's card. `cube` is a saved snapshot of the hero scene, if there is one. */
+export const homeCard = (site, { cube } = {}) => frame(
+  h('div', { display: 'flex', flexDirection: 'column', justifyContent: 'space-between', flex: 1, padding: '70px 0 70px 80px' },
+    h('div', { display: 'flex', flexDirection: 'column', gap: 24 },
+      h('div', { color: GOLD, fontSize: 24, fontWeight: 700, letterSpacing: 6, textTransform: 'uppercase' }, 'Portfolio'),
+      h('div', { fontSize: 84, fontWeight: 900, lineHeight: 1.05, letterSpacing: -2 }, site.author),
+      h('div', { display: 'flex', flexDirection: 'column', gap: 6, color: '#cccccc', fontSize: 30 },
+        site.headline.split(' · ').map(part => h('div', {}, part)),
+      ),
+    ),
+    footer(site),
+  ),
+  h('div', { display: 'flex', alignItems: 'center', padding: '0 80px 0 40px' }, picture(cube ?? CUBE_SVG, Boolean(cube))),
+);
+
+/** A project's card: its number, category, title and role, beside its image. */
+export const projectCard = (project, site, { index, image }) => frame(
+  h('div', { display: 'flex', flexDirection: 'column', justifyContent: 'space-between', flex: 1, padding: '70px 0 70px 80px' },
+    h('div', { display: 'flex', flexDirection: 'column', gap: 22, borderLeft: `4px solid ${GOLD}`, paddingLeft: 30 },
+      h('div', { display: 'flex', gap: 18, color: GOLD, fontSize: 24, fontWeight: 700, letterSpacing: 4, textTransform: 'uppercase' },
+        String(index + 1).padStart(2, '0'),
+        h('div', { color: MUTED }, project.category),
+      ),
+      h('div', { fontSize: project.title.length > 16 ? 64 : 84, fontWeight: 900, lineHeight: 1.05, letterSpacing: -2 }, project.title),
+      h('div', { color: '#cccccc', fontSize: 28, lineHeight: 1.4 }, project.role),
+    ),
+    footer(site),
+  ),
+  h('div', { display: 'flex', alignItems: 'center', padding: '0 80px 0 40px' }, picture(image, true)),
+);
+
+/** Renders a card to PNG. */
+export const renderCard = async (card) => {
+  const svg = await satori(card, { width: CARD_WIDTH, height: CARD_HEIGHT, fonts: loadFonts() });
+  return new Resvg(svg, { fitTo: { mode: 'width', value: CARD_WIDTH } }).render().asPng();
+};
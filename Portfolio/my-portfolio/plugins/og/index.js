@@ -0,0 +1,122 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { loadContent } from '../content/collections.js';
+import { cardPath, dataUri, homeCard, projectCard, renderCard } from './card.js';
+
+const SNAPSHOT_ENDPOINT = '/__og/cube-snapshot';
+const MAX_SNAPSHOT = 15 * 1024 * 1024;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_SNAPSHOT) {
+      reject(Object.assign(new Error('Snapshot is too large.'), { status: 413 }));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+/**
+ * Renders the link preview cards, 1200x630 PNGs, into `public/og/`:
+ * `home.png` for the site and `<slug>.png` for every project (see card.js).
+ * They are redrawn before each build and when the dev server starts, skipping
+ * any whose inputs haven't changed; the prerendered pages point their
+ * og:image and twitter:image at them (plugins/prerender).
+ *
+ * The home card shows `cubeSnapshot` when that file exists, and a drawn cube
+ * otherwise. To save one, open the dev site with `?og-snapshot`: the hero
+ * scene posts a frame to the dev server a few seconds after it loads.
+ */
+export default function ogImages({
+  contentDir = 'src/content',
+  cubeSnapshot = 'src/assets/cube-snapshot.png',
+  cacheFile = '.cache/og-cards.json',
+} = {}) {
+  let config;
+
+  const resolve = (file) => path.resolve(config.root, file);
+
+  const cards = () => {
+    const { content } = loadContent({ dir: resolve(contentDir), root: config.root, publicDir: config.publicDir });
+    const { site, projects } = content;
+    const snapshot = resolve(cubeSnapshot);
+    return [
+      { name: 'home', card: homeCard(site, { cube: fs.existsSync(snapshot) ? dataUri(snapshot) : null }) },
+      ...projects.map((project, index) => ({
+        name: project.slug,
+        card: projectCard(project, site, { index, image: dataUri(path.join(config.publicDir, project.image)) }),
+      })),
+    ];
+  };
+
+  const generate = async () => {
+    const cache = resolve(cacheFile);
+    let hashes = {};
+    try {
+      hashes = JSON.parse(fs.readFileSync(cache, 'utf8'));
+    } catch {
+      // No cache yet: draw every card.
+    }
+
+    let drawn = 0;
+    for (const { name, card } of cards()) {
+      const file = path.join(config.publicDir, cardPath(name));
+      const hash = crypto.createHash('sha1').update(JSON.stringify(card)).digest('hex');
+      if (hashes[name] === hash && fs.existsSync(file)) continue;
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, await renderCard(card));
+      hashes[name] = hash;
+      drawn += 1;
+    }
+
+    fs.mkdirSync(path.dirname(cache), { recursive: true });
+    fs.writeFileSync(cache, `${JSON.stringify(hashes, null, 2)}\n`);
+    if (drawn) config.logger.info(`[og] drew ${drawn} preview card${drawn === 1 ? '' : 's'}`, { timestamp: true });
+  };
+
+  return {
+    name: 'og-images',
+
+    configResolved(resolved) {
+      config = resolved;
+    },
+
+    // Before Vite copies public/ into the build.
+    async buildStart() {
+      if (config.command === 'build' && !config.build.ssr) await generate();
+    },
+
+    configureServer(server) {
+      generate().catch(err => config.logger.error(`[og] ${err.message}`));
+
+      server.middlewares.use(SNAPSHOT_ENDPOINT, async (req, res, next) => {
+        if (req.method !== 'POST') return next();
+        try {
+          const image = await readBody(req);
+          if (!image.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+            throw Object.assign(new Error('Expected a PNG.'), { status: 400 });
+          }
+          const file = resolve(cubeSnapshot);
+          fs.mkdirSync(path.dirname(file), { recursive: true });
+          fs.writeFileSync(file, image);
+          config.logger.info(`[og] saved the cube snapshot to ${cubeSnapshot}`, { timestamp: true });
+          await generate();
+          res.writeHead(201, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ ok: true }));
+        } catch (err) {
+          config.logger.error(`[og] couldn't save the cube snapshot: ${err.message}`, { timestamp: true });
+          res.writeHead(err.status || 500, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: err.message }));
+        }
+      });
+    },
+  };
+}
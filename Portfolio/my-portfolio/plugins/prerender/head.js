@@ -0,0 +1,153 @@
+import { summarize } from '../content/posts.js';
+import { CARD_HEIGHT, CARD_WIDTH, cardPath } from '../og/card.js';
+
+// What each prerendered page tells search engines and link previews: title,
+// description, Open Graph and Twitter cards, and schema.org JSON-LD, all
+// taken from the site's content.
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const absolute = (site, pathname) => new URL(pathname, site.url).href;
+
+const plainBio = (bio) => bio.map(paragraph => paragraph.map(segment => segment.text).join('')).join('\n\n');
+
+const author = (site) => ({ '@type': 'Person', name: site.author, url: absolute(site, '/') });
+
+const personJsonLd = ({ site, social, skills, timeline, bio }) => ({
+  ...author(site),
+  description: summarize(plainBio(bio)),
+  jobTitle: site.headline,
+  email: `mailto:${social.email}`,
+  sameAs: [social.github, social.linkedin],
+  alumniOf: timeline
+    .filter(entry => entry.type === 'education')
+    .map(entry => ({ '@type': 'CollegeOrUniversity', name: entry.title })),
+  knowsAbout: skills.flatMap(group => group.skills),
+});
+
+/**
+ * Every page worth prerendering, each `{ path, title, description, type,
+ * image, published?, tags?, jsonLd }`. `title` is the page's own (null for
+ * the home page); the document title adds the site's. `image` is a preview
+ * card from plugins/og: a project's own, or the site's.
+ */
+export const sitePages = (content) => {
+  const { site, projects, posts, bio } = content;
+
+  return [
+    {
+      path: '/',
+      title: null,
+      description: summarize(plainBio(bio)) || site.headline,
+      type: 'website',
+      image: cardPath('home'),
+      jsonLd: personJsonLd(content),
+    },
+    ...projects.map(project => ({
+      path: `/projects/${project.slug}`,
+      title: project.title,
+      description: summarize(project.description),
+      type: 'article',
+      image: cardPath(project.slug),
+      tags: project.tags,
+      jsonLd: {
+        '@type': 'CreativeWork',
+        name: project.title,
+        description: summarize(project.description),
+        url: absolute(site, `/projects/${project.slug}`),
+        image: absolute(site, project.image),
+        genre: project.category,
+        keywords: project.tags.join(', '),
+        author: author(site),
+        sameAs: project.repo,
+      },
+    })),
+    {
+      path: '/writing',
+      title: 'Writing',
+      description: site.description,
+      type: 'website',
+      image: cardPath('home'),
+      jsonLd: {
+        '@type': 'Blog',
+        name: `${site.title} · Writing`,
+        description: site.description,
+        url: absolute(site, '/writing'),
+        author: author(site),
+      },
+    },
+    ...posts.map(post => ({
+      path: `/writing/${post.slug}`,
+      title: post.title,
+      description: post.summary,
+      type: 'article',
+      image: cardPath('home'),
+      published: post.date,
+      tags: post.tags,
+      jsonLd: {
+        '@type': 'BlogPosting',
+        headline: post.title,
+        description: post.summary,
+        datePublished: post.date,
+        url: absolute(site, `/writing/${post.slug}`),
+        keywords: post.tags.join(', '),
+        author: author(site),
+      },
+    })),
+  ];
+};
+
+export const documentTitle = (page, site) => (page.title ? `${page.title} · ${site.title}` : site.title);
+
+// `</script>` inside a string would end the JSON-LD block early.
+const jsonLdScript = (data) => `<script type="application/ld+json">${
+  JSON.stringify({ '@context': 'https://schema.org', ...data }).replace(/</g, '\\u003c')
+}</script>`;
+
+/** The `<head>` tags for `page`, one per line. */
+export const renderHead = (page, site) => {
+  const url = absolute(site, page.path);
+  const title = page.title ?? site.title;
+  const image = absolute(site, page.image);
+  const meta = (attr, key, value) => `<meta ${attr}="${key}" content="${escapeHtml(value)}">`;
+
+  return [
+    meta('name', 'description', page.description),
+    `<link rel="canonical" href="${escapeHtml(url)}">`,
+    meta('property', 'og:type', page.type),
+    meta('property', 'og:site_name', site.title),
+    meta('property', 'og:title', title),
+    meta('property', 'og:description', page.description),
+    meta('property', 'og:url', url),
+    meta('property', 'og:locale', site.language),
+    meta('property', 'og:image', image),
+    meta('property', 'og:image:width', CARD_WIDTH),
+    meta('property', 'og:image:height', CARD_HEIGHT),
+    meta('property', 'og:image:alt', title),
+    ...(page.published ? [meta('property', 'article:published_time', page.published)] : []),
+    ...(page.tags ?? []).map(tag => meta('property', 'article:tag', tag)),
+    meta('name', 'twitter:card', 'summary_large_image'),
+    meta('name', 'twitter:title', title),
+    meta('name', 'twitter:description', page.description),
+    meta('name', 'twitter:image', image),
+    jsonLdScript(page.jsonLd),
+  ].join('\n    ');
+};
+
+export const sitemap = (pages, site) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${pages.map(page => `  <url>
+    <loc>${escapeHtml(absolute(site, page.path))}</loc>
+${page.published ? `    <lastmod>${page.published}</lastmod>\n` : ''}  </url>`).join('\n')}
+</urlset>
+`;
+
+export const robots = (site) => `User-agent: *
+Allow: /
+
+Sitemap: ${absolute(site, '/sitemap.xml')}
+`;
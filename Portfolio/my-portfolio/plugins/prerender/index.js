@@ -0,0 +1,111 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { build } from 'vite';
+import { loadContent } from '../content/collections.js';
+import { documentTitle, renderHead, robots, sitePages, sitemap } from './head.js';
+
+const FILES = {
+  'sitemap.xml': { type: 'application/xml', render: (pages, site) => sitemap(pages, site) },
+  'robots.txt': { type: 'text/plain', render: (pages, site) => robots(site) },
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// "/" -> index.html, "/projects/autix" -> projects/autix.html, which static
+// hosts serve for the path without a trailing-slash redirect.
+const htmlFile = (pathname) => (pathname === '/' ? 'index.html' : `${pathname.slice(1)}.html`);
+
+const fillTemplate = (template, { page, site, markup }) => {
+  // React opens with preloads for the page's first images. They belong in the
+  // head, and left in #root they would trip up hydration.
+  const [, preloads, body] = markup.match(/^((?:<link [^>]*>)*)([\s\S]*)$/);
+  return template
+    .replace(/<title>[^<]*<\/title>/, () => `<title>${escapeHtml(documentTitle(page, site))}</title>`)
+    .replace('</head>', () => `  ${[renderHead(page, site), preloads].filter(Boolean).join('\n    ')}\n  </head>`)
+    .replace('<div id="root"></div>', () => `<div id="root" data-prerendered="${escapeHtml(page.path)}">${body}</div>`);
+};
+
+/**
+ * Turns the built single-page app into real pages: after the client build,
+ * renders the home page, every project and the writing section through
+ * src/entry-server.jsx and writes each into its own HTML file, with its
+ * description, Open Graph, Twitter and JSON-LD tags. The browser then
+ * hydrates that markup (src/main.jsx). Builds also get `sitemap.xml` and
+ * `robots.txt`.
+ */
+export default function prerender({ contentDir = 'src/content', entry = 'src/entry-server.jsx' } = {}) {
+  let config;
+
+  const load = () => {
+    const { content } = loadContent({ dir: path.resolve(config.root, contentDir), root: config.root, publicDir: config.publicDir });
+    return { site: content.site, pages: sitePages(content) };
+  };
+
+  return {
+    name: 'prerender',
+
+    configResolved(resolved) {
+      config = resolved;
+    },
+
+    generateBundle() {
+      // The server bundle built below needs none of this.
+      if (config.build.ssr) return;
+      const { site, pages } = load();
+      Object.entries(FILES).forEach(([fileName, { render }]) => {
+        this.emitFile({ type: 'asset', fileName, source: render(pages, site) });
+      });
+    },
+
+    async closeBundle() {
+      if (config.command !== 'build' || config.build.ssr) return;
+      const outDir = path.resolve(config.root, config.build.outDir);
+      const serverDir = path.resolve(config.root, 'dist-ssr');
+
+      // The same config file again, so every plugin runs a second time. Those
+      // that emit site files, or fetch what the client build already fetched,
+      // check `config.build.ssr` and leave that to the client build.
+      await build({
+        root: config.root,
+        mode: config.mode,
+        configFile: config.configFile,
+        logLevel: 'warn',
+        build: {
+          ssr: entry,
+          outDir: serverDir,
+          emptyOutDir: true,
+          rollupOptions: { output: { entryFileNames: 'entry-server.js' } },
+        },
+      });
+
+      try {
+        const { render } = await import(pathToFileURL(path.join(serverDir, 'entry-server.js')).href);
+        const template = fs.readFileSync(path.join(outDir, 'index.html'), 'utf8');
+        const { site, pages } = load();
+        for (const page of pages) {
+          const file = path.join(outDir, htmlFile(page.path));
+          fs.mkdirSync(path.dirname(file), { recursive: true });
+          fs.writeFileSync(file, fillTemplate(template, { page, site, markup: await render(page.path) }));
+        }
+        config.logger.info(`prerendered ${pages.length} pages`);
+      } finally {
+        fs.rmSync(serverDir, { recursive: true, force: true });
+      }
+    },
+
+    configureServer(server) {
+      Object.entries(FILES).forEach(([file, { type, render }]) => {
+        server.middlewares.use(`/${file}`, (req, res) => {
+          const { site, pages } = load();
+          res.setHeader('Content-Type', `${type}; charset=utf-8`);
+          res.end(render(pages, site));
+        });
+      });
+    },
+  };
+}
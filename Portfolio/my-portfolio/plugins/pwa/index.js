@@ -0,0 +1,122 @@
+import path from 'node:path';
+import { Resvg } from '@resvg/resvg-js';
+import { VitePWA } from 'vite-plugin-pwa';
+import { loadContent } from '../content/collections.js';
+import { dataUri } from '../og/card.js';
+
+const THEME_COLOR = '#050505';
+const ICON_SIZES = [192, 512];
+const iconFile = (size) => `icons/icon-${size}.png`;
+
+// The monogram on the site's black, sized to stay inside the circle a
+// maskable icon may be cropped to, so one drawing serves both purposes.
+const renderIcon = (monogram, size) => {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 100 100">`
+    + `<rect width="100" height="100" fill="${THEME_COLOR}"/>`
+    + `<image href="${monogram}" x="20" y="20" width="60" height="60"/>`
+    + '</svg>';
+  return new Resvg(svg, { fitTo: { mode: 'width', value: size } }).render().asPng();
+};
+
+// Google Fonts' stylesheet and the font files it points to.
+const isFont = ({ url }) => url.origin === 'https://fonts.googleapis.com' || url.origin === 'https://fonts.gstatic.com';
+
+// The scene's environment maps (src/scene/environmentMaps.js), one chunk per
+// preset. Only the one in use is ever loaded, so they aren't precached.
+const ENVIRONMENT_MAPS = 'assets/*.exr-*.js';
+const isEnvironmentMap = ({ url, sameOrigin }) => sameOrigin && /^\/assets\/[^/]+\.exr-[^/]+\.js$/.test(url.pathname);
+
+/**
+ * Makes the site installable and usable offline, through vite-plugin-pwa: a
+ * web app manifest named after the site, with icons drawn from the favicon,
+ * and a Workbox service worker that precaches the build. That covers every
+ * prerendered page, the scripts and styles, project images, the certificate
+ * PDFs and the resume PDFs, `/Srinivas_Resume.pdf` included (plugins/resume);
+ * the link preview cards (plugins/og) are left out. Environment maps are
+ * cached once the scene loads one. Fonts from Google are served from cache and
+ * refreshed in the background.
+ *
+ * A new build's worker waits until the visitor reloads, which
+ * src/pwa/UpdateToast.jsx offers. `npm run dev` runs without a worker.
+ */
+export default function pwa({ contentDir = 'src/content', monogram = 'Favicon.png' } = {}) {
+  let config;
+
+  const icons = {
+    name: 'pwa-icons',
+    apply: 'build',
+
+    configResolved(resolved) {
+      config = resolved;
+    },
+
+    generateBundle() {
+      if (config.build.ssr) return;
+      const source = dataUri(path.join(config.publicDir, monogram));
+      ICON_SIZES.forEach(size => {
+        this.emitFile({ type: 'asset', fileName: iconFile(size), source: renderIcon(source, size) });
+      });
+    },
+  };
+
+  const manifest = {
+    display: 'standalone',
+    start_url: '/',
+    scope: '/',
+    theme_color: THEME_COLOR,
+    background_color: THEME_COLOR,
+    icons: ICON_SIZES.flatMap(size => ['any', 'maskable'].map(purpose => ({
+      src: `/${iconFile(size)}`,
+      sizes: `${size}x${size}`,
+      type: 'image/png',
+      purpose,
+    }))),
+  };
+
+  return [
+    icons,
+    VitePWA({
+      registerType: 'prompt',
+      injectRegister: false,
+      manifest,
+      integration: {
+        // The manifest's name and description come from the site's content.
+        configureOptions(resolved) {
+          const { content } = loadContent({ dir: path.resolve(resolved.root, contentDir), root: resolved.root, publicDir: resolved.publicDir });
+          const { site } = content;
+          Object.assign(manifest, {
+            name: site.title,
+            short_name: site.shortName ?? site.title,
+            description: site.headline,
+            lang: site.language,
+          });
+        },
+      },
+      workbox: {
+        globPatterns: ['**/*.{html,js,css,png,jpg,jpeg,svg,webp,pdf}'],
+        globIgnores: ['og/**', ENVIRONMENT_MAPS],
+        // The certificate scans run to a few megabytes.
+        maximumFileSizeToCacheInBytes: 5 * 1024 * 1024,
+        // Paths without a page of their own get the app, which routes them.
+        navigateFallback: '/index.html',
+        runtimeCaching: [{
+          // Hashed file names: a cached chunk never goes stale.
+          urlPattern: isEnvironmentMap,
+          handler: 'CacheFirst',
+          options: {
+            cacheName: 'environment-maps',
+            expiration: { maxEntries: 10 },
+          },
+        }, {
+          urlPattern: isFont,
+          handler: 'StaleWhileRevalidate',
+          options: {
+            cacheName: 'fonts',
+            expiration: { maxEntries: 30 },
+            cacheableResponse: { statuses: [0, 200] },
+          },
+        }],
+      },
+    }),
+  ];
+}
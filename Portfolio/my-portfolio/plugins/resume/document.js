@@ -0,0 +1,68 @@
+import { formatPeriod } from '../../src/timeline/timelineFormat.js';
+
+// Turns the site's content into a renderer-neutral resume: a header plus
+// titled sections of entries. The HTML and PDF renderers only lay this out.
+
+export const RESUME_VARIANTS = [
+  { id: 'one-page', label: 'One page', file: 'resume' },
+  { id: 'detailed', label: 'Detailed', file: 'resume-detailed' },
+];
+
+const LOCALE = 'en-US';
+// The one-page variant keeps only the lead projects and their first results.
+const ONE_PAGE_PROJECTS = 3;
+const ONE_PAGE_OUTCOMES = 2;
+
+const plainBio = (paragraph) => paragraph.map(segment => segment.text).join('');
+
+const hostAndPath = (url) => url.replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, '');
+
+const timelineEntry = (entry, detailed) => ({
+  heading: entry.title,
+  subheading: entry.subtitle,
+  // Intl puts thin spaces around the dash, which the PDF's standard fonts don't have.
+  period: formatPeriod(entry.start, entry.end, LOCALE).replace(/\s/g, ' '),
+  bullets: detailed ? entry.details || [] : [],
+});
+
+const projectEntry = (project, detailed) => ({
+  heading: project.title,
+  subheading: `${project.role} · ${project.category}`,
+  link: project.repo,
+  bullets: detailed
+    ? [project.description, ...(project.outcomes || [])]
+    : (project.outcomes || [project.description]).slice(0, ONE_PAGE_OUTCOMES),
+  meta: detailed ? project.stack.join(', ') : null,
+});
+
+export const buildResume = ({ site, social, bio, timeline, projects, skills }, variant) => {
+  const detailed = variant === 'detailed';
+  // Newest first reads better on a resume than the timeline's oldest-first order.
+  const entries = [...timeline].reverse();
+  const education = entries.filter(entry => entry.type === 'education');
+  const experience = entries.filter(entry => entry.type !== 'education');
+
+  const sections = [
+    { title: 'Summary', paragraphs: (detailed ? bio : bio.slice(0, 1)).map(plainBio) },
+    experience.length && { title: 'Experience', entries: experience.map(entry => timelineEntry(entry, detailed)) },
+    { title: 'Education', entries: education.map(entry => timelineEntry(entry, detailed)) },
+    {
+      title: 'Projects',
+      entries: (detailed ? projects : projects.slice(0, ONE_PAGE_PROJECTS)).map(project => projectEntry(project, detailed)),
+    },
+    { title: 'Skills', rows: skills.map(group => ({ label: group.category, text: group.skills.join(', ') })) },
+  ].filter(Boolean);
+
+  return {
+    variant,
+    name: site.author,
+    headline: site.headline,
+    contact: [
+      { label: social.email, url: `mailto:${social.email}` },
+      { label: hostAndPath(site.url), url: site.url },
+      { label: hostAndPath(social.github), url: social.github },
+      { label: hostAndPath(social.linkedin), url: social.linkedin },
+    ],
+    sections,
+  };
+};
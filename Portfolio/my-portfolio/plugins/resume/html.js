@@ -0,0 +1,93 @@
+import { RESUME_VARIANTS } from './document.js';
+
+// A standalone, print-ready page: no app bundle, just the resume and a small
+// toolbar (variant switch, PDF download, print) that is hidden when printing.
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const STYLES = `
+  @page { size: letter; margin: 0.5in; }
+  * { box-sizing: border-box; }
+  body { margin: 0; background: #050505; font: 10.5pt/1.45 Inter, system-ui, Helvetica, Arial, sans-serif; color: #1a1a1a; }
+  .toolbar { display: flex; flex-wrap: wrap; gap: 10px; justify-content: center; padding: 20px; }
+  .toolbar a, .toolbar button { font: inherit; font-size: 0.9rem; text-decoration: none; cursor: pointer; border-radius: 50px; padding: 8px 18px; border: 1px solid rgba(255,255,255,0.15); background: rgba(255,255,255,0.08); color: white; }
+  .toolbar .active { background: #FFD700; border-color: #FFD700; color: black; font-weight: bold; }
+  .sheet { width: 8.5in; max-width: 100%; min-height: 11in; margin: 0 auto 40px; padding: 0.5in; background: white; }
+  header { border-bottom: 2px solid #B8860B; padding-bottom: 10px; margin-bottom: 14px; }
+  h1 { margin: 0; font-size: 22pt; letter-spacing: -0.02em; }
+  .headline { margin: 2px 0 6px; color: #555; }
+  .contact { display: flex; flex-wrap: wrap; gap: 4px 14px; font-size: 9pt; }
+  .contact a, .entry a { color: #1a1a1a; }
+  h2 { margin: 14px 0 6px; font-size: 10pt; letter-spacing: 0.15em; text-transform: uppercase; color: #B8860B; }
+  p { margin: 0 0 6px; }
+  .entry { margin-bottom: 8px; break-inside: avoid; }
+  .entry-head { display: flex; justify-content: space-between; gap: 10px; }
+  .entry-head strong { font-size: 10.5pt; }
+  .period { color: #555; white-space: nowrap; font-size: 9.5pt; }
+  .sub { font-style: italic; color: #444; }
+  ul { margin: 3px 0 0; padding-left: 16px; }
+  li { margin: 1px 0; }
+  .meta { color: #555; font-size: 9pt; margin-top: 2px; }
+  .skills { display: grid; grid-template-columns: max-content 1fr; gap: 3px 12px; }
+  .skills dt { font-weight: bold; }
+  .skills dd { margin: 0; }
+  @media print {
+    body { background: white; }
+    .toolbar { display: none; }
+    .sheet { width: auto; min-height: 0; margin: 0; padding: 0; }
+  }
+`;
+
+const renderEntry = (entry) => `
+    <div class="entry">
+      <div class="entry-head">
+        <strong>${entry.link ? `<a href="${escapeHtml(entry.link)}">${escapeHtml(entry.heading)}</a>` : escapeHtml(entry.heading)}</strong>
+        ${entry.period ? `<span class="period">${escapeHtml(entry.period)}</span>` : ''}
+      </div>
+      ${entry.subheading ? `<div class="sub">${escapeHtml(entry.subheading)}</div>` : ''}
+      ${entry.bullets.length ? `<ul>${entry.bullets.map(bullet => `<li>${escapeHtml(bullet)}</li>`).join('')}</ul>` : ''}
+      ${entry.meta ? `<div class="meta">${escapeHtml(entry.meta)}</div>` : ''}
+    </div>`;
+
+const renderSection = (section) => `
+  <section>
+    <h2>${escapeHtml(section.title)}</h2>
+    ${(section.paragraphs || []).map(text => `<p>${escapeHtml(text)}</p>`).join('')}
+    ${(section.entries || []).map(renderEntry).join('')}
+    ${section.rows ? `<dl class="skills">${section.rows.map(row => `<dt>${escapeHtml(row.label)}</dt><dd>${escapeHtml(row.text)}</dd>`).join('')}</dl>` : ''}
+  </section>`;
+
+export const renderResumeHtml = (resume, { lang = 'en' } = {}) => {
+  const current = RESUME_VARIANTS.find(variant => variant.id === resume.variant);
+  return `<!doctype html>
+<html lang="${escapeHtml(lang)}">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <title>${escapeHtml(resume.name)} · Resume</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <nav class="toolbar" aria-label="Resume options">
+    <a href="/">Back to site</a>
+    ${RESUME_VARIANTS.map(variant => `<a href="/${variant.file}.html"${variant === current ? ' class="active" aria-current="page"' : ''}>${escapeHtml(variant.label)}</a>`).join('\n    ')}
+    <a href="/${current.file}.pdf" download>Download PDF</a>
+    <a href="/resume.json">JSON Resume</a>
+    <button type="button" onclick="window.print()">Print</button>
+  </nav>
+  <main class="sheet">
+    <header>
+      <h1>${escapeHtml(resume.name)}</h1>
+      <div class="headline">${escapeHtml(resume.headline)}</div>
+      <div class="contact">${resume.contact.map(item => `<a href="${escapeHtml(item.url)}">${escapeHtml(item.label)}</a>`).join('')}</div>
+    </header>
+    ${resume.sections.map(renderSection).join('')}
+  </main>
+</body>
+</html>
+`;
+};
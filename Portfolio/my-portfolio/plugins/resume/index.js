@@ -0,0 +1,89 @@
+import path from 'node:path';
+import { loadContent } from '../content/collections.js';
+import { toJsonResume } from '../content/jsonResume.js';
+import { RESUME_VARIANTS, buildResume } from './document.js';
+import { renderResumeHtml } from './html.js';
+import { renderResumePdf } from './pdf.js';
+
+const VIRTUAL_ID = 'virtual:resume';
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+
+// The same data in the JSON Resume format, for resume tools and themes.
+const JSON_RESUME = 'resume.json';
+
+/**
+ * Generates the resume from the site's content, so it can't drift from it:
+ * `/resume.html` and `/resume.pdf` (one page), plus `-detailed` versions, and
+ * `/resume.json`. `virtual:resume` lists the variants and their URLs for the
+ * site's links.
+ *
+ * The one-page PDF is also written to `previousPdf`, the address the resume
+ * had when it was a file in public/, so links shared before keep working.
+ */
+export default function resume({ contentDir = 'src/content', previousPdf = 'Srinivas_Resume.pdf' } = {}) {
+  let root;
+  let publicDir;
+  let ssr;
+
+  const render = async (requested) => {
+    const file = requested === previousPdf ? 'resume.pdf' : requested;
+    const { content } = loadContent({ dir: path.resolve(root, contentDir), root, publicDir });
+    if (file === JSON_RESUME) {
+      return { type: 'application/json', source: `${JSON.stringify(toJsonResume(content), null, 2)}\n` };
+    }
+    const variant = RESUME_VARIANTS.find(candidate => file === `${candidate.file}.html` || file === `${candidate.file}.pdf`);
+    const model = buildResume(content, variant.id);
+    return file.endsWith('.pdf')
+      ? { type: 'application/pdf', source: await renderResumePdf(model) }
+      : { type: 'text/html; charset=utf-8', source: renderResumeHtml(model, { lang: content.site.language }) };
+  };
+
+  const files = [...RESUME_VARIANTS.flatMap(variant => [`${variant.file}.html`, `${variant.file}.pdf`]), JSON_RESUME, previousPdf];
+
+  return {
+    name: 'resume',
+
+    configResolved(config) {
+      root = config.root;
+      ssr = Boolean(config.build.ssr);
+      publicDir = config.publicDir;
+    },
+
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID;
+    },
+
+    load(id) {
+      if (id !== RESOLVED_ID) return;
+      const variants = RESUME_VARIANTS.map(variant => ({
+        id: variant.id,
+        label: variant.label,
+        html: `/${variant.file}.html`,
+        pdf: `/${variant.file}.pdf`,
+      }));
+      return `export const resumeVariants = ${JSON.stringify(variants)};`;
+    },
+
+    async generateBundle() {
+      if (ssr) return;
+      for (const fileName of files) {
+        const { source } = await render(fileName);
+        this.emitFile({ type: 'asset', fileName, source });
+      }
+    },
+
+    configureServer(server) {
+      server.middlewares.use(async (req, res, next) => {
+        const file = req.url.split('?')[0].slice(1);
+        if (!files.includes(file)) return next();
+        try {
+          const { type, source } = await render(file);
+          res.setHeader('Content-Type', type);
+          res.end(source);
+        } catch (err) {
+          next(err);
+        }
+      });
+    },
+  };
+}
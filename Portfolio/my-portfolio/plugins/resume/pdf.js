@@ -0,0 +1,86 @@
+import PDFDocument from 'pdfkit';
+
+// Lays the resume out with PDFKit's built-in Helvetica, so the build needs no
+// browser and no font files. Mirrors the print styles in html.js.
+
+const MARGIN = 36;
+const ACCENT = '#B8860B';
+const TEXT = '#1a1a1a';
+const MUTED = '#555555';
+
+const heading = (doc, title) => {
+  doc.moveDown(0.6);
+  doc.font('Helvetica-Bold').fontSize(9.5).fillColor(ACCENT).text(title.toUpperCase(), { characterSpacing: 1.2 });
+  doc.moveDown(0.2);
+};
+
+const entry = (doc, item) => {
+  const { left, right } = doc.page.margins;
+  const width = doc.page.width - left - right;
+  const top = doc.y;
+
+  if (item.period) {
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED).text(item.period, left, top + 1, { width, align: 'right' });
+  }
+  const periodWidth = item.period ? doc.widthOfString(item.period) + 12 : 0;
+  doc.font('Helvetica-Bold').fontSize(10.5).fillColor(TEXT)
+    .text(item.heading, left, top, { width: width - periodWidth, link: item.link || null });
+
+  if (item.subheading) doc.font('Helvetica-Oblique').fontSize(9.5).fillColor('#444444').text(item.subheading, { width });
+  if (item.bullets.length) {
+    doc.font('Helvetica').fontSize(9.5).fillColor(TEXT)
+      .list(item.bullets, { width, bulletRadius: 1.3, bulletIndent: 2, textIndent: 10, paragraphGap: 1 });
+  }
+  if (item.meta) doc.font('Helvetica').fontSize(8.5).fillColor(MUTED).text(item.meta, left, doc.y, { width });
+  doc.moveDown(0.4);
+};
+
+const skillRows = (doc, rows) => {
+  const { left, right } = doc.page.margins;
+  const labelWidth = Math.max(...rows.map(row => doc.font('Helvetica-Bold').fontSize(9.5).widthOfString(row.label))) + 12;
+  const width = doc.page.width - left - right - labelWidth;
+  rows.forEach(row => {
+    const top = doc.y;
+    doc.font('Helvetica-Bold').fontSize(9.5).fillColor(TEXT).text(row.label, left, top);
+    doc.font('Helvetica').text(row.text, left + labelWidth, top, { width });
+    doc.x = left;
+    doc.moveDown(0.15);
+  });
+};
+
+export const renderResumePdf = (resume) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: MARGIN,
+    info: { Title: `${resume.name} · Resume`, Author: resume.name },
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const { left, right } = doc.page.margins;
+  const width = doc.page.width - left - right;
+
+  doc.font('Helvetica-Bold').fontSize(22).fillColor(TEXT).text(resume.name);
+  doc.font('Helvetica').fontSize(10.5).fillColor(MUTED).text(resume.headline);
+  doc.moveDown(0.3);
+  resume.contact.forEach((item, i) => {
+    doc.font('Helvetica').fontSize(9).fillColor(TEXT)
+      .text(item.label, { link: item.url, continued: i < resume.contact.length - 1 });
+    if (i < resume.contact.length - 1) doc.fillColor(MUTED).text('   ·   ', { continued: true });
+  });
+  doc.moveDown(0.4);
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(1.5).strokeColor(ACCENT).stroke();
+
+  resume.sections.forEach(section => {
+    heading(doc, section.title);
+    (section.paragraphs || []).forEach(text => {
+      doc.font('Helvetica').fontSize(9.5).fillColor(TEXT).text(text, left, doc.y, { width, paragraphGap: 3 });
+    });
+    (section.entries || []).forEach(item => entry(doc, item));
+    if (section.rows) skillRows(doc, section.rows);
+  });
+
+  doc.end();
+});
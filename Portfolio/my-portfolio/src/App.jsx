@@ -1,29 +1,55 @@
-import React, { useEffect, useRef, useState, useMemo } from "react";
-import { Canvas, useFrame } from "@react-three/fiber";
-import { OrbitControls, Environment, ContactShadows, RoundedBox, Float } from "@react-three/drei";
+import React, { useEffect, useRef, useState, useMemo, useCallback, useImperativeHandle, useSyncExternalStore } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import { OrbitControls, ContactShadows, RoundedBox, Float } from "@react-three/drei";
 import * as THREE from "three";
 import TWEEN from "@tweenjs/tween.js";
 import { motion, AnimatePresence } from "framer-motion";
+import { getFaceAxis, resolveDragTurn } from "./cube/layerDrag";
+import { layersOf, readCubeParams } from "./cube/notation";
+import { IDENTITY, THICKNESS, applyMatrix, isSolved, multiplyMatrix, rotationMatrix } from "./cube/cubeState";
+import CubeControls from "./cube/CubeControls";
+import SpeedcubeGame from "./cube/SpeedcubeGame";
+import { useQuality } from "./scene/quality";
+import { useSceneVisibility } from "./scene/useSceneVisibility";
+import { useMotionPreference } from "./motion/motionPreference";
+import { MotionToggle } from "./motion/MotionManager";
+import { AdaptiveQuality, QualitySwitch } from "./scene/QualityManager";
+import SceneEnvironment from "./scene/SceneEnvironment";
+import ParticleField from "./scene/ParticleField";
+import ResilientCanvas from "./scene/ResilientCanvas";
+import SceneSnapshot from "./scene/SceneSnapshot";
+import CubePoster from "./scene/CubePoster";
+import ScrollChoreographer from "./scene/ScrollChoreographer";
+import { bio, projects, skills, social, timeline } from "virtual:content";
+import { resumeVariants } from "virtual:resume";
+import ContactModal from "./contact/ContactModal";
+import { isDownload, track } from "./analytics/analytics";
+import { TIMELINE_TYPES, formatPeriod } from "./timeline/timelineFormat";
+import { useLocale } from "./i18n/locale";
+import { LocaleSwitcher } from "./i18n/LocaleManager";
+import { splitLetters, splitWords } from "./i18n/textSegments";
+import { Link } from "react-router";
+import { useScrollRestoration } from "./routing/scrollRestoration";
+import { filterProjects, projectCategories, projectTechs, useProjectFilters } from "./projects/projectFilters";
+import RepoStats from "./projects/RepoStats";
+import { chipStyle } from "./routing/pageStyles";
+import { useHydrated } from "./routing/hydration";
+
+const subscribeToResize = (handleResize) => {
+  window.addEventListener("resize", handleResize);
+  return () => window.removeEventListener("resize", handleResize);
+};
 
+// Prerendered pages are laid out for a 1200x800 desktop window, then hydration switches to the real one.
 const useWindowSize = () => {
-  const [windowSize, setWindowSize] = useState({
-    width: typeof window !== "undefined" ? window.innerWidth : 1200,
-    height: typeof window !== "undefined" ? window.innerHeight : 800,
-  });
-
-  useEffect(() => {
-    const handleResize = () => {
-      setWindowSize({ width: window.innerWidth, height: window.innerHeight });
-    };
-    window.addEventListener("resize", handleResize);
-    return () => window.removeEventListener("resize", handleResize);
-  }, []);
+  const width = useSyncExternalStore(subscribeToResize, () => window.innerWidth, () => 1200);
+  const height = useSyncExternalStore(subscribeToResize, () => window.innerHeight, () => 800);
 
   return {
-    width: windowSize.width,
-    height: windowSize.height,
-    isCompact: windowSize.width < 1024, 
-    isMobile: windowSize.width < 768,
+    width,
+    height,
+    isCompact: width < 1024, 
+    isMobile: width < 768,
   };
 };
 
@@ -31,12 +57,6 @@ const useWindowSize = () => {
  * PART 1: THE MIRROR CUBE PHYSICS
  * ========================================================= */
 
-const THICKNESS = {
-  x: [0.6, 1.0, 1.4], 
-  y: [1.4, 1.0, 0.6], 
-  z: [0.6, 1.0, 1.4]  
-};
-
 const GAP = 0.15; 
 const BEVEL = 0.06;
 
@@ -63,18 +83,19 @@ const getPieceConfig = (ox, oy, oz) => {
 };
 
 const MirrorPiece = ({ id, originalPos, setRef }) => {
+  const { settings } = useQuality();
   const { size, pos } = useMemo(() => {
     return getPieceConfig(originalPos[0], originalPos[1], originalPos[2]);
   }, []);
 
   return (
-    <group ref={setRef} position={pos}>
+    <group ref={setRef} position={pos} userData={{ pieceId: id }}>
       <RoundedBox 
         args={[Math.max(0.1, size[0] - GAP), Math.max(0.1, size[1] - GAP), Math.max(0.1, size[2] - GAP)]} 
         radius={BEVEL} 
-        smoothness={5} 
-        castShadow 
-        receiveShadow
+        smoothness={settings.smoothness} 
+        castShadow={settings.shadows} 
+        receiveShadow={settings.shadows}
       >
         <meshStandardMaterial 
           color="#FFD700" 
@@ -87,209 +108,321 @@ const MirrorPiece = ({ id, originalPos, setRef }) => {
   );
 };
 
-// --- TIMELINE CUBE ANIMATOR ---
-const TimelineCubeAnimator = ({ children, scrollContainer }) => {
-  const group = useRef();
-  const { isCompact } = useWindowSize(); 
-  
-  useFrame(() => {
-    if (!scrollContainer.current || !group.current) return;
-
-    const scrollY = scrollContainer.current.scrollTop;
-    const height = window.innerHeight;
-    
-    // Transition Zone: 0 to 150% of screen height
-    const startScroll = height * 0.5; 
-    const endScroll = height * 1.5;   
-    
-    const rawProgress = (scrollY - startScroll) / (endScroll - startScroll);
-    const progress = Math.min(1, Math.max(0, rawProgress));
-    const smoothProgress = progress * (2 - progress); 
-
-    // TARGETS (RESPONSIVE)
-    const startX = isCompact ? 0 : 3.5;  
-    const endX = 0;      
-    const startZ = isCompact ? -2 : 0; 
-    const endZ = -2.0;   
-    const startScale = isCompact ? 0.6 : 0.85; 
-    const endScale = isCompact ? 0.5 : 0.65;
-
-    const currentX = THREE.MathUtils.lerp(startX, endX, smoothProgress);
-    const currentZ = THREE.MathUtils.lerp(startZ, endZ, smoothProgress);
-    const currentScale = THREE.MathUtils.lerp(startScale, endScale, smoothProgress);
-
-    group.current.position.x = THREE.MathUtils.lerp(group.current.position.x, currentX, 0.1);
-    group.current.position.z = THREE.MathUtils.lerp(group.current.position.z, currentZ, 0.1);
-    
-    const startY = isCompact ? -1.5 : 0;
-    const endY = 0;
-    const currentY = THREE.MathUtils.lerp(startY, endY, smoothProgress);
-    
-    group.current.position.y = THREE.MathUtils.lerp(group.current.position.y, currentY, 0.1);
-    group.current.scale.setScalar(THREE.MathUtils.lerp(group.current.scale.x, currentScale, 0.1));
-
-    if (progress < 1) {
-        group.current.rotation.y += 0.01;
-        group.current.rotation.x += 0.005;
-    } else {
-        group.current.rotation.y += 0.005; 
-        group.current.rotation.x = THREE.MathUtils.lerp(group.current.rotation.x, 0, 0.05);
-    }
-  });
-
-  return <group ref={group}>{children}</group>;
+// --- CUBE SCROLL CHOREOGRAPHY ---
+// Where the cube sits as each section scrolls in. Format in scene/scrollChoreography.js.
+const CUBE_BASE = {
+  material: { color: '#FFD700', emissive: '#FFD700', emissiveIntensity: 0, metalness: 1.0, roughness: 0.15, envMapIntensity: 2.5 },
 };
 
-const CubeManager = () => {
-  const groupRef = useRef();
-  const pivotRef = useRef();
-  const piecesRef = useRef({});
-  const wholeGroupRef = useRef();
-  const logicalPieces = useRef([]);
-
-  const [initialRenderData] = useState(() => {
-    const data = [];
-    const logic = [];
-    for(let x=-1; x<=1; x++) {
-      for(let y=-1; y<=1; y++) {
-        for(let z=-1; z<=1; z++) {
-          const id = `${x}:${y}:${z}`;
-          data.push({ id, originalPos: [x, y, z] });
-          logic.push({ id, pos: [x, y, z] });
-        }
-      }
-    }
-    logicalPieces.current = logic;
-    return data;
-  });
-
-  useFrame((state, delta) => {
-    TWEEN.update();
-    if (wholeGroupRef.current) {
-        wholeGroupRef.current.rotation.z = Math.sin(state.clock.elapsedTime * 0.2) * 0.05;
-    }
-  });
-
-  useEffect(() => {
-    let isRunning = true;
-    const animateTurn = (move, multiplier) => {
-      return new Promise((resolve) => {
-        const { axis, layer, dir } = move;
-        const turnDir = dir * multiplier;
-        const axisIdx = ['x', 'y', 'z'].indexOf(axis);
-        const activePieces = logicalPieces.current.filter(p => Math.round(p.pos[axisIdx]) === layer);
-        const activeIds = activePieces.map(p => p.id);
-
-        const pivot = pivotRef.current;
-        const group = groupRef.current;
-        pivot.rotation.set(0, 0, 0);
-        pivot.position.set(0, 0, 0);
-        pivot.updateMatrixWorld();
-
-        activeIds.forEach(id => {
-          const mesh = piecesRef.current[id];
-          if (mesh) pivot.attach(mesh);
-        });
-
-        new TWEEN.Tween({ rot: 0 })
-          .to({ rot: (Math.PI / 2) * turnDir }, 400)
-          .easing(TWEEN.Easing.Quadratic.InOut)
-          .onUpdate(({ rot }) => { pivot.rotation[axis] = rot; })
-          .onComplete(() => {
-            if (!pivot || !group) return;
-            const vecAxis = new THREE.Vector3(axis === 'x' ? 1 : 0, axis === 'y' ? 1 : 0, axis === 'z' ? 1 : 0);
-            [...pivot.children].forEach(mesh => {
-              group.attach(mesh);
-              mesh.position.set(
-                Math.round(mesh.position.x * 1000) / 1000,
-                Math.round(mesh.position.y * 1000) / 1000,
-                Math.round(mesh.position.z * 1000) / 1000
-              );
-              mesh.rotation.set(
-                Math.round(mesh.rotation.x / (Math.PI/2)) * (Math.PI/2),
-                Math.round(mesh.rotation.y / (Math.PI/2)) * (Math.PI/2),
-                Math.round(mesh.rotation.z / (Math.PI/2)) * (Math.PI/2)
-              );
-              mesh.updateMatrix();
-            });
-            activePieces.forEach(p => {
-              const vec = new THREE.Vector3(...p.pos);
-              vec.applyAxisAngle(vecAxis, (Math.PI / 2) * turnDir);
-              p.pos = [Math.round(vec.x), Math.round(vec.y), Math.round(vec.z)];
-            });
-            pivot.rotation.set(0, 0, 0);
-            resolve();
-          })
-          .start();
-      });
-    };
-
-    const runSequence = async () => {
-      await new Promise(r => setTimeout(r, 1000));
-      while (isRunning) {
-        for (let i = 0; i < SCRAMBLE_MOVES.length; i++) {
-          if (!isRunning) return;
-          await animateTurn(SCRAMBLE_MOVES[i], 1);
-          await new Promise(r => setTimeout(r, 50));
-        }
-        await new Promise(r => setTimeout(r, 2000));
-        for (let i = SCRAMBLE_MOVES.length - 1; i >= 0; i--) {
-          if (!isRunning) return;
-          await animateTurn(SCRAMBLE_MOVES[i], -1);
-          await new Promise(r => setTimeout(r, 50));
-        }
-        await new Promise(r => setTimeout(r, 2000));
-      }
-    };
-    runSequence();
-    return () => { isRunning = false; TWEEN.removeAll(); };
-  }, []);
+const CUBE_CHOREOGRAPHY = [
+  // Hero: off to the right, tumbling.
+  {
+    anchor: '#about', at: 'top center',
+    position: [3.5, 0, 0], rotation: [0.35, -0.6, 0], spin: [0.3, 0.6, 0], scale: 0.85,
+    compact: { position: [0, -1.5, -2], scale: 0.6 },
+  },
+  // About: drifts to the middle and settles into a slow turn.
+  {
+    anchor: '#about', at: 'top -50%', ease: 'easeOut',
+    position: [0, 0, -2], rotation: [0, -0.6, 0], spin: [0, 0.3, 0], scale: 0.65,
+    compact: { scale: 0.5 },
+  },
+  // Timeline: sinks back behind the line and dims so the milestones read first.
+  { anchor: '#timeline', at: 'top center' },
+  {
+    anchor: '#timeline', at: 'center center', ease: 'easeInOut',
+    position: [0, 0, -4], spin: [0, 0.15, 0], scale: 0.55,
+    material: { roughness: 0.35, envMapIntensity: 1.5 },
+    compact: { scale: 0.4 },
+  },
+  // Skills: steps out to the side and warms up.
+  { anchor: '#skills', at: 'top bottom' },
+  {
+    anchor: '#skills', at: 'top center', ease: 'easeOut',
+    position: [3, 0, -2], rotation: [0.5, -0.6, 0.2], spin: [0, 0.6, 0], scale: 0.6,
+    material: { roughness: 0.15, envMapIntensity: 2.5, emissiveIntensity: 0.15 },
+    compact: { position: [0, 0, -3], scale: 0.45 },
+  },
+  // Projects: shrinks away as the section slides over the scene.
+  { anchor: '#projects', at: 'top bottom' },
+  {
+    anchor: '#projects', at: 'top top', ease: 'easeIn',
+    position: [0, 0, -4], spin: [0, 0, 0], scale: 0.3,
+    material: { emissiveIntensity: 0 },
+  },
+];
 
-  return (
-    <group ref={wholeGroupRef} rotation={[0.5, -0.6, 0]}>
-        <group ref={groupRef} scale={[0.85, 0.85, 0.85]}>
-            {initialRenderData.map((data) => (
-            <MirrorPiece 
-                key={data.id} 
-                id={data.id}
-                originalPos={data.originalPos}
-                setRef={(el) => { piecesRef.current[data.id] = el; }}
-            />
-            ))}
-            <object3D ref={pivotRef} />
-        </group>
-    </group>
-  );
+// Autoplay waits this long after the last user turn before scrambling again.
+const AUTOPLAY_RESUME_DELAY = 4000;
+const TURN_DURATION = 400;
+
+const animateTurn = ({ pivot, group, pieces, logical, now }, move, multiplier, duration = TURN_DURATION) => {
+  return new Promise((resolve) => {
+    const { axis, dir } = move;
+    const layers = layersOf(move);
+    const turnDir = dir * multiplier;
+    const axisIdx = ['x', 'y', 'z'].indexOf(axis);
+    const activePieces = logical.filter(p => layers.includes(Math.round(p.pos[axisIdx])));
+    const activeIds = activePieces.map(p => p.id);
+
+    pivot.rotation.set(0, 0, 0);
+    pivot.position.set(0, 0, 0);
+    pivot.updateMatrixWorld();
+
+    activeIds.forEach(id => {
+      const mesh = pieces[id];
+      if (mesh) pivot.attach(mesh);
+    });
+
+    const finish = () => {
+      if (!pivot || !group) return;
+      const turn = rotationMatrix(axis, turnDir);
+      [...pivot.children].forEach(mesh => {
+        group.attach(mesh);
+        mesh.position.set(
+          Math.round(mesh.position.x * 1000) / 1000,
+          Math.round(mesh.position.y * 1000) / 1000,
+          Math.round(mesh.position.z * 1000) / 1000
+        );
+        mesh.rotation.set(
+          Math.round(mesh.rotation.x / (Math.PI/2)) * (Math.PI/2),
+          Math.round(mesh.rotation.y / (Math.PI/2)) * (Math.PI/2),
+          Math.round(mesh.rotation.z / (Math.PI/2)) * (Math.PI/2)
+        );
+        mesh.updateMatrix();
+      });
+      activePieces.forEach(p => {
+        p.pos = applyMatrix(turn, p.pos);
+        p.rot = multiplyMatrix(turn, p.rot);
+      });
+      pivot.rotation.set(0, 0, 0);
+      resolve();
+    };
+
+    // Shared links restore their state with zero-length turns.
+    if (duration === 0) {
+      pivot.rotation[axis] = (Math.PI / 2) * turnDir;
+      finish();
+      return;
+    }
+
+    new TWEEN.Tween({ rot: 0 })
+      .to({ rot: (Math.PI / 2) * turnDir }, duration)
+      .easing(TWEEN.Easing.Quadratic.InOut)
+      .onUpdate(({ rot }) => { pivot.rotation[axis] = rot; })
+      .onComplete(finish)
+      .start(now);
+  });
 };
 
-const FloatingParticles = () => {
-  const count = 50;
-  const mesh = useRef();
-  const particles = useMemo(() => new Array(count).fill().map(() => ({
-      position: [(Math.random() - 0.5) * 14, (Math.random() - 0.5) * 14, (Math.random() - 0.5) * 8],
-      scale: Math.random() * 0.4 + 0.1, 
-      speed: Math.random() * 0.5 + 0.2
-  })), []);
-
-  useFrame((state, delta) => {
-    if (mesh.current) {
-        mesh.current.rotation.y -= delta * 0.05;
-        mesh.current.rotation.x += delta * 0.02;
-    }
-  });
-
-  return (
-    <group ref={mesh}>
-      {particles.map((data, i) => (
-        <Float key={i} speed={data.speed} rotationIntensity={1} floatIntensity={2}>
-          <mesh position={data.position} scale={data.scale}>
-            <sphereGeometry args={[0.08, 16, 16]} />
-            <meshStandardMaterial color="#FFD700" emissive="#FFD700" emissiveIntensity={0.2} metalness={1} roughness={0.1} />
-          </mesh>
-        </Float>
-      ))}
-    </group>
-  );
+const CubeManager = ({ ref, initialMoves, autoplay = true }) => {
+  const groupRef = useRef();
+  const pivotRef = useRef();
+  const piecesRef = useRef({});
+  const wholeGroupRef = useRef();
+  const logicalPieces = useRef([]);
+  const turnQueue = useRef(Promise.resolve());
+  const history = useRef([]);
+  const restored = useRef(false);
+  const lastInteraction = useRef(0);
+  const paused = useRef(false);
+  const locked = useRef(false);
+  const listeners = useRef(new Set());
+  const dragRef = useRef(null);
+  const { reducedMotion } = useMotionPreference();
+  const sceneTime = useRef(0);
+  const timers = useRef([]);
+  const get = useThree((state) => state.get);
+
+  const [initialRenderData] = useState(() => {
+    const data = [];
+    const logic = [];
+    for(let x=-1; x<=1; x++) {
+      for(let y=-1; y<=1; y++) {
+        for(let z=-1; z<=1; z++) {
+          const id = `${x}:${y}:${z}`;
+          data.push({ id, originalPos: [x, y, z] });
+          logic.push({ id, pos: [x, y, z], rot: IDENTITY });
+        }
+      }
+    }
+    logicalPieces.current = logic;
+    return data;
+  });
+
+  // Turns are chained so a user drag never starts while another layer is mid-turn.
+  const queueTurn = useCallback((move, multiplier = 1, duration, source = 'autoplay') => {
+    turnQueue.current = turnQueue.current
+      .then(() => animateTurn({
+        pivot: pivotRef.current,
+        group: groupRef.current,
+        pieces: piecesRef.current,
+        logical: logicalPieces.current,
+        now: sceneTime.current,
+      }, move, multiplier, duration))
+      .then(() => {
+        const turned = { ...move, dir: move.dir * multiplier };
+        history.current.push(turned);
+        const solved = isSolved(logicalPieces.current);
+        listeners.current.forEach(listener => listener({ move: turned, source, solved }));
+      });
+    return turnQueue.current;
+  }, []);
+
+  // Anything a visitor triggers holds the autoplay loop off until they go idle.
+  const userTurn = useCallback((move, multiplier = 1, duration, source = 'api') => {
+    lastInteraction.current = performance.now();
+    return queueTurn(move, multiplier, duration, source).then(() => { lastInteraction.current = performance.now(); });
+  }, [queueTurn]);
+
+  useImperativeHandle(ref, () => ({
+    turn: userTurn,
+    getHistory: () => [...history.current],
+    // Resolves once queued turns have landed, so the snapshot is the real state.
+    getPieces: () => turnQueue.current.then(() => logicalPieces.current.map(p => ({ ...p }))),
+    // Holds the autoplay loop; the visitor can still turn layers.
+    setPaused: (value) => { paused.current = value; },
+    // Ignores the visitor's drags, for sequences that must play out as computed.
+    setLocked: (value) => { locked.current = value; },
+    // Called after every finished turn with `{ move, source, solved }`.
+    subscribe: (listener) => {
+      listeners.current.add(listener);
+      return () => listeners.current.delete(listener);
+    },
+  }), [userTurn]);
+
+  // Tweens and autoplay pauses run on scene time, which only advances while
+  // frames are rendered. When the canvas stops rendering they hold in place.
+  const sceneWait = useCallback((ms) => new Promise(resolve => {
+    timers.current.push({ at: sceneTime.current + ms, resolve });
+  }), []);
+
+  useFrame((state, delta) => {
+    // Clamped so the first frame after a long pause doesn't skip ahead.
+    sceneTime.current += Math.min(delta, 0.1) * 1000;
+    TWEEN.update(sceneTime.current);
+    const due = timers.current.filter(t => t.at <= sceneTime.current);
+    if (due.length) {
+      timers.current = timers.current.filter(t => t.at > sceneTime.current);
+      due.forEach(t => t.resolve());
+    }
+    if (wholeGroupRef.current) {
+        wholeGroupRef.current.rotation.z = reducedMotion ? 0 : Math.sin(state.clock.elapsedTime * 0.2) * 0.05;
+    }
+  });
+
+  useEffect(() => () => TWEEN.removeAll(), []);
+
+  useEffect(() => {
+    let isRunning = true;
+    if (initialMoves && !restored.current) {
+      restored.current = true;
+      initialMoves.forEach(move => queueTurn(move, 1, 0));
+    }
+    // Switching autoplay off lets the turn in flight land rather than cutting its tween.
+    if (!autoplay) return;
+
+    const waitForIdle = async () => {
+      while (isRunning && (paused.current || dragRef.current || performance.now() - lastInteraction.current < AUTOPLAY_RESUME_DELAY)) {
+        await sceneWait(250);
+      }
+    };
+
+    const runSequence = async () => {
+      await sceneWait(1000);
+      while (isRunning) {
+        for (let i = 0; i < SCRAMBLE_MOVES.length; i++) {
+          await waitForIdle();
+          if (!isRunning) return;
+          await queueTurn(SCRAMBLE_MOVES[i], 1);
+          await sceneWait(50);
+        }
+        await sceneWait(2000);
+        for (let i = SCRAMBLE_MOVES.length - 1; i >= 0; i--) {
+          await waitForIdle();
+          if (!isRunning) return;
+          await queueTurn(SCRAMBLE_MOVES[i], -1);
+          await sceneWait(50);
+        }
+        await sceneWait(2000);
+      }
+    };
+    runSequence();
+    return () => { isRunning = false; };
+  }, [queueTurn, sceneWait, initialMoves, autoplay]);
+
+  // --- DRAG TO TURN ---
+  useEffect(() => {
+    const handleMove = (e) => {
+      const drag = dragRef.current;
+      if (!drag || drag.done || locked.current) return;
+      const { camera, size } = get();
+      const move = resolveDragTurn({
+        ...drag,
+        drag: new THREE.Vector2(e.clientX - drag.start.x, e.clientY - drag.start.y),
+        camera,
+        size,
+        cubeGroup: groupRef.current,
+      });
+      if (!move) return;
+      drag.done = true;
+      userTurn(move, 1, undefined, 'drag');
+    };
+    const handleUp = () => {
+      if (!dragRef.current) return;
+      const { controls } = get();
+      if (controls) controls.enabled = dragRef.current.controlsEnabled;
+      dragRef.current = null;
+      lastInteraction.current = performance.now();
+    };
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    window.addEventListener('pointercancel', handleUp);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+      window.removeEventListener('pointercancel', handleUp);
+    };
+  }, [get, userTurn]);
+
+  const handlePointerDown = (e) => {
+    if (locked.current) return;
+    let obj = e.object;
+    while (obj && !obj.userData.pieceId) obj = obj.parent;
+    if (!obj || !e.face) return;
+    e.stopPropagation();
+
+    const { controls } = get();
+    const piece = logicalPieces.current.find(p => p.id === obj.userData.pieceId);
+    const normal = e.face.normal.clone().transformDirection(e.object.matrixWorld);
+    dragRef.current = {
+      start: { x: e.nativeEvent.clientX, y: e.nativeEvent.clientY },
+      point: e.point.clone(),
+      faceAxis: getFaceAxis(normal, groupRef.current),
+      piecePos: piece.pos,
+      controlsEnabled: controls ? controls.enabled : true,
+      done: false,
+    };
+    // Hold the camera still while a layer is being dragged.
+    if (controls) controls.enabled = false;
+    lastInteraction.current = performance.now();
+  };
+
+  return (
+    <group ref={wholeGroupRef} rotation={[0.5, -0.6, 0]}>
+        <group ref={groupRef} scale={[0.85, 0.85, 0.85]} onPointerDown={handlePointerDown}>
+            {initialRenderData.map((data) => (
+            <MirrorPiece 
+                key={data.id} 
+                id={data.id}
+                originalPos={data.originalPos}
+                setRef={(el) => { piecesRef.current[data.id] = el; }}
+            />
+            ))}
+            <object3D ref={pivotRef} />
+        </group>
+    </group>
+  );
 };
 
 /** =========================================================
@@ -298,8 +431,8 @@ const FloatingParticles = () => {
 
 // GLOW STYLE
 const glowStyle = {
-    color: '#FFD700',
-    textShadow: '0 0 10px rgba(255, 215, 0, 0.6), 0 0 20px rgba(255, 215, 0, 0.3)'
+    color: '#FFD700',
+    textShadow: '0 0 10px rgba(255, 215, 0, 0.6), 0 0 20px rgba(255, 215, 0, 0.3)'
 };
 
 // ICONS
@@ -312,8 +445,24 @@ const IconMenu = () => (<svg width="24" height="24" viewBox="0 0 24 24" fill="no
 const IconClose = () => (<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>);
 
 // STAGGERED TEXT COMPONENT
+// Words come from Intl.Segmenter, so scripts without spaces (Japanese) still
+// wrap between words; gaps only go where the text had a space, on the side
+// the reading direction puts them.
 const AnimatedText = ({ text, style, className }) => {
-  const words = text.split(" ");
+  const { reducedMotion } = useMotionPreference();
+  const { locale } = useLocale();
+  const words = splitWords(text, locale);
+  const gap = (word) => (word.space ? "0.2em" : 0);
+
+  if (reducedMotion) {
+    return (
+      <div style={{ display: "flex", flexWrap: "wrap", ...style }} className={className}>
+        {words.map((word, index) => (
+          <span key={index} style={{ marginInlineEnd: gap(word) }}>{word.text}</span>
+        ))}
+      </div>
+    );
+  }
 
   const container = {
     hidden: { opacity: 0 },
@@ -346,8 +495,8 @@ const AnimatedText = ({ text, style, className }) => {
       className={className}
     >
       {words.map((word, index) => (
-        <span key={index} style={{ marginRight: "0.2em", display: "flex" }}>
-            {word.split("").map((letter, idx) => (
+        <span key={index} style={{ marginInlineEnd: gap(word), display: "flex" }}>
+            {splitLetters(word.text, locale).map((letter, idx) => (
                 <motion.span key={idx} variants={child}>
                     {letter}
                 </motion.span>
@@ -359,11 +508,80 @@ const AnimatedText = ({ text, style, className }) => {
 };
 
 // NAVBAR COMPONENT
+// Sections scroll within the home page; `to` links go to their own route.
+// Labels are `nav.<id>` in the locale catalogs.
+const NAV_LINKS = [
+  { id: 'about' },
+  { id: 'skills' },
+  { id: 'projects' },
+  { id: 'writing', to: '/writing' }
+];
+
+const MotionLink = motion.create(Link);
+
+const NavLink = ({ link, animated, ...props }) => {
+  if (link.to) return animated ? <MotionLink to={link.to} {...props} /> : <Link to={link.to} {...props} />;
+  return animated ? <motion.a href={`#${link.id}`} {...props} /> : <a href={`#${link.id}`} {...props} />;
+};
+
+// Resume pages and PDFs are generated from the content at build time (plugins/resume).
+const ResumeMenu = () => {
+  const [open, setOpen] = useState(false);
+  const { t } = useLocale();
+  const linkStyle = { color: '#ccc', textDecoration: 'none', fontSize: '0.85rem' };
+
+  return (
+    <div
+      style={{ position: 'relative' }}
+      onBlur={(e) => !e.currentTarget.contains(e.relatedTarget) && setOpen(false)}
+      onKeyDown={(e) => e.key === 'Escape' && setOpen(false)}
+    >
+      <button
+        onClick={() => setOpen(v => !v)}
+        aria-expanded={open}
+        style={{
+          background: 'none', border: 'none', padding: '0 0 2px 0', cursor: 'pointer',
+          color: open ? '#FFF' : '#888', fontSize: '0.9rem', fontWeight: '500', fontFamily: 'inherit',
+          transition: 'color 0.3s'
+        }}
+        onMouseEnter={(e) => e.currentTarget.style.color = '#FFF'}
+        onMouseLeave={(e) => e.currentTarget.style.color = open ? '#FFF' : '#888'}
+      >
+        {t('nav.resume')} ▾
+      </button>
+      <AnimatePresence>
+        {open && (
+          <motion.div
+            initial={{ opacity: 0, y: -8 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -8 }}
+            transition={{ duration: 0.2 }}
+            style={{
+              position: 'absolute', top: 'calc(100% + 18px)', right: '-30px', minWidth: '220px',
+              background: 'rgba(5,5,5,0.95)', border: '1px solid rgba(255,215,0,0.3)', borderRadius: '15px',
+              padding: '15px 20px', backdropFilter: 'blur(10px)',
+              display: 'flex', flexDirection: 'column', gap: '12px'
+            }}
+          >
+            {resumeVariants.map(variant => (
+              <div key={variant.id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '20px' }}>
+                <a href={variant.html} style={{ ...linkStyle, color: 'white', fontWeight: '500' }}>{t(`resume.${variant.id}`)}</a>
+                <a href={variant.pdf} download onClick={() => track('download', { file: variant.pdf })} style={{ ...linkStyle, color: '#FFD700', fontWeight: 'bold' }}>{t('nav.resumePdf')} ↓</a>
+              </div>
+            ))}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
 const Navbar = ({ activeSection, scrollToTop }) => {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
+  const [isContactOpen, setIsContactOpen] = useState(false);
   const { isCompact, isMobile } = useWindowSize(); 
+  const { t } = useLocale();
 
-  const gmailLink = "https://mail.google.com/mail/?view=cm&fs=1&to=vengaldas02@gmail.com";
 
   return (
     <>
@@ -391,54 +609,35 @@ const Navbar = ({ activeSection, scrollToTop }) => {
                   padding: '12px 30px', borderRadius: '50px', backdropFilter: 'blur(10px)',
                   border: '1px solid rgba(255,255,255,0.1)', pointerEvents: 'auto'
               }}>
-                  {[
-                    { label: 'About', id: 'about' },
-                    { label: 'Skills', id: 'skills' },
-                    { label: 'Projects', id: 'projects' }
-                  ].map((link) => (
-                      <a key={link.id} href={`#${link.id}`} style={{ 
+                  {NAV_LINKS.map((link) => (
+                      <NavLink key={link.id} link={link} style={{ 
                           color: activeSection === link.id ? '#FFD700' : '#888', 
                           textDecoration: 'none', 
                           fontSize: '0.9rem', fontWeight: '500', 
                           transition: 'color 0.3s',
                           borderBottom: activeSection === link.id ? '2px solid #FFD700' : 'none',
                           paddingBottom: '2px'
-                      }}>{link.label}</a>
+                      }}>{t(`nav.${link.id}`)}</NavLink>
                   ))}
 
-                  <a 
-                    href="/Srinivas_Resume.pdf" 
-                    target="_blank" 
-                    rel="noopener noreferrer"
-                    style={{ 
-                      color: '#888', 
-                      textDecoration: 'none', 
-                      fontSize: '0.9rem', fontWeight: '500', 
-                      transition: 'color 0.3s',
-                      paddingBottom: '2px',
-                      cursor: 'pointer'
-                    }}
-                    onMouseEnter={(e) => e.target.style.color = '#FFF'} 
-                    onMouseLeave={(e) => e.target.style.color = '#888'}
-                  >
-                    Resume
-                  </a>
+                  <ResumeMenu />
               </div>
 
-              <div style={{ pointerEvents: 'auto' }}>
-                  <a 
-                    href={gmailLink} 
-                    target="_blank" 
-                    rel="noopener noreferrer"
-                    style={{ 
-                      background: 'white', color: 'black', textDecoration: 'none', 
+              <div style={{ pointerEvents: 'auto', display: 'flex', alignItems: 'center', gap: '12px' }}>
+                  <LocaleSwitcher />
+                  <MotionToggle />
+                  <button
+                    type="button"
+                    onClick={() => { track('contact_open', { from: 'nav' }); setIsContactOpen(true); }}
+                    style={{ 
+                      background: 'white', color: 'black', border: 'none', fontFamily: 'inherit', 
                       padding: '12px 24px', 
                       borderRadius: '50px', fontWeight: 'bold', cursor: 'pointer', 
                       fontSize: '0.9rem',
                       display: 'flex', alignItems: 'center', gap: '8px'
                   }}>
-                      Get in Touch <IconArrow />
-                  </a>
+                      {t('nav.contact')} <IconArrow />
+                  </button>
               </div>
             </>
           )}
@@ -448,6 +647,7 @@ const Navbar = ({ activeSection, scrollToTop }) => {
              <div style={{ pointerEvents: 'auto' }}>
                 <button 
                   onClick={() => setIsMenuOpen(true)}
+                  aria-label={t('nav.openMenu')}
                   style={{
                     background: 'rgba(255,255,255,0.1)',
                     border: '1px solid rgba(255,255,255,0.2)',
@@ -485,6 +685,7 @@ const Navbar = ({ activeSection, scrollToTop }) => {
           >
             <button
               onClick={() => setIsMenuOpen(false)}
+              aria-label={t('nav.closeMenu')}
               style={{
                 position: 'absolute', top: '25px', right: '25px',
                 background: 'transparent', border: 'none', color: 'white', cursor: 'pointer',
@@ -495,14 +696,11 @@ const Navbar = ({ activeSection, scrollToTop }) => {
             </button>
 
             <div style={{ display: 'flex', flexDirection: 'column', gap: '40px', alignItems: 'center' }}>
-                {[
-                  { label: 'About', id: 'about' },
-                  { label: 'Skills', id: 'skills' },
-                  { label: 'Projects', id: 'projects' }
-                ].map((link, i) => (
-                  <motion.a 
-                    key={link.id} 
-                    href={`#${link.id}`}
+                {NAV_LINKS.map((link, i) => (
+                  <NavLink 
+                    animated
+                    key={link.id} 
+                    link={link}
                     onClick={() => setIsMenuOpen(false)}
                     initial={{ opacity: 0, y: 20 }}
                     animate={{ opacity: 1, y: 0 }}
@@ -512,54 +710,60 @@ const Navbar = ({ activeSection, scrollToTop }) => {
                       letterSpacing: '-0.02em'
                     }}
                   >
-                    {link.label}
-                  </motion.a>
+                    {t(`nav.${link.id}`)}
+                  </NavLink>
                 ))}
 
-                <motion.a 
-                    href="/Srinivas_Resume.pdf"
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    onClick={() => setIsMenuOpen(false)}
-                    initial={{ opacity: 0, y: 20 }}
-                    animate={{ opacity: 1, y: 0 }}
-                    transition={{ delay: 0.4 }}
-                    style={{ 
-                      color: 'white', fontSize: '2rem', textDecoration: 'none', fontWeight: '800',
-                      letterSpacing: '-0.02em'
-                    }}
-                  >
-                    Resume
-                </motion.a>
-
-                <motion.a 
-                  href={gmailLink} 
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  onClick={() => setIsMenuOpen(false)}
+                <motion.div
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: 0.5 }}
+                    style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '10px' }}
+                >
+                    <span style={{ color: 'white', fontSize: '2rem', fontWeight: '800', letterSpacing: '-0.02em' }}>{t('nav.resume')}</span>
+                    <div style={{ display: 'flex', gap: '20px' }}>
+                        {resumeVariants.map(variant => (
+                            <a key={variant.id} href={variant.pdf} download onClick={() => { track('download', { file: variant.pdf }); setIsMenuOpen(false); }} style={{ color: '#FFD700', fontSize: '1rem', fontWeight: 'bold', textDecoration: 'none' }}>
+                                {t('nav.resumeVariantPdf', { variant: t(`resume.${variant.id}`) })}
+                            </a>
+                        ))}
+                    </div>
+                </motion.div>
+
+                <motion.button
+                  type="button"
+                  onClick={() => { setIsMenuOpen(false); track('contact_open', { from: 'menu' }); setIsContactOpen(true); }}
                   initial={{ opacity: 0, y: 20 }}
                   animate={{ opacity: 1, y: 0 }}
-                  transition={{ delay: 0.5 }}
+                  transition={{ delay: 0.6 }}
                   style={{ 
-                    background: '#FFD700', color: 'black', textDecoration: 'none', 
+                    background: '#FFD700', color: 'black', border: 'none', fontFamily: 'inherit', cursor: 'pointer', 
                     padding: '16px 32px', borderRadius: '50px', fontWeight: 'bold', 
                     fontSize: '1.2rem', marginTop: '20px',
                     display: 'flex', alignItems: 'center', gap: '10px',
                     boxShadow: '0 0 20px rgba(255, 215, 0, 0.3)'
                   }}
                 >
-                    Get in Touch <IconArrow />
-                </motion.a>
-            </div>
+                    {t('nav.contact')} <IconArrow />
+                </motion.button>
+
+                <div style={{ display: 'flex', gap: '12px' }}>
+                    <LocaleSwitcher />
+                    <MotionToggle />
+                </div>
+            </div>
           </motion.div>
         )}
       </AnimatePresence>
+
+      <ContactModal open={isContactOpen} onClose={() => setIsContactOpen(false)} />
     </>
   );
 };
 
-const HeroSection = () => {
+const HeroSection = ({ children }) => {
     const { isMobile, isCompact } = useWindowSize();
+    const { t } = useLocale();
 
     return (
     <section style={{ 
@@ -567,18 +771,18 @@ const HeroSection = () => {
         paddingLeft: isCompact ? '0%' : '8%', pointerEvents: 'none',
         paddingRight: isCompact ? '5%' : '0'
     }}>
-        <div style={{ zIndex: 5, maxWidth: '650px', pointerEvents: 'auto', textAlign: isCompact ? 'center' : 'left', width: isCompact ? '100%' : 'auto' }}>
+        <div style={{ zIndex: 5, maxWidth: '650px', pointerEvents: 'auto', textAlign: isCompact ? 'center' : 'start', width: isCompact ? '100%' : 'auto' }}>
             <h1 style={{ 
                 fontSize: isMobile ? '3rem' : (isCompact ? '4.5rem' : '6rem'), 
                 lineHeight: 1.05, color: 'white', fontWeight: '800', 
                 marginBottom: '30px', letterSpacing: '-0.03em', fontFamily: 'Inter, sans-serif'
             }}>
-                Crafting Digital<br/>
+                {t('hero.titleLead')}<br/>
                 <span style={{ 
                     background: 'linear-gradient(to right, #FFD700 0%, #FFFFFF 50%, #FFD700 100%)', 
                     WebkitBackgroundClip: 'text', WebkitTextFillColor: 'transparent',
                     filter: 'drop-shadow(0px 0px 15px rgba(255, 215, 0, 0.6))'
-                }}>Masterpieces</span>
+                }}>{t('hero.titleHighlight')}</span>
             </h1>
             <p style={{ 
                 color: '#888', fontSize: isMobile ? '1rem' : '1.1rem', 
@@ -586,10 +790,10 @@ const HeroSection = () => {
                 maxWidth: isCompact ? '100%' : '480px', fontWeight: '400',
                 margin: isCompact ? '0 auto 40px auto' : '0 0 50px 0'
             }}>
-                Transforming innovative ideas into robust, scalable software solutions through clean code and precise technical engineering.
+                {t('hero.tagline')}
             </p>
             <div style={{ display: 'flex', gap: '20px', justifyContent: isCompact ? 'center' : 'flex-start' }}>
-                <a href="https://github.com/Srinivas-Vengaldas" target="_blank" rel="noopener noreferrer" style={{ 
+                <a href={social.github} target="_blank" rel="noopener noreferrer" style={{ 
                     background: 'white', color: 'black', textDecoration: 'none', 
                     padding: isMobile ? '12px 24px' : '16px 32px', 
                     borderRadius: '50px', fontSize: isMobile ? '0.9rem' : '1rem', 
@@ -598,7 +802,7 @@ const HeroSection = () => {
                 }}>
                     <IconGithub /> GitHub <IconArrow />
                 </a>
-                <a href="https://www.linkedin.com/in/vengaldassrinivas/" target="_blank" rel="noopener noreferrer" style={{ 
+                <a href={social.linkedin} target="_blank" rel="noopener noreferrer" style={{ 
                     background: 'transparent', color: 'white', textDecoration: 'none', border: '1px solid rgba(255,255,255,0.2)', 
                     padding: isMobile ? '12px 24px' : '16px 32px', 
                     borderRadius: '50px', fontSize: isMobile ? '0.9rem' : '1rem', 
@@ -609,11 +813,17 @@ const HeroSection = () => {
                 </a>
             </div>
         </div>
+        {children && (
+            <div style={{ position: 'absolute', bottom: '40px', left: 0, width: '100%', display: 'flex', justifyContent: 'center' }}>
+                {children}
+            </div>
+        )}
     </section>
 )};
 
 const BioSection = () => {
   const { isMobile, isCompact } = useWindowSize();
+  const { t } = useLocale();
   return (
     <section id="about" style={{ 
       minHeight: '80vh', display: 'flex', alignItems: 'center', justifyContent: 'center',
@@ -628,8 +838,8 @@ const BioSection = () => {
                 fontWeight: '800', color: 'white', lineHeight: 1.1, 
                 letterSpacing: '-0.02em', margin: 0 
             }}>
-                <AnimatedText text="BEYOND" />
-                <AnimatedText text="SYNTAX." style={glowStyle} />
+                <AnimatedText text={t('bio.titleLead')} />
+                <AnimatedText text={t('bio.titleHighlight')} style={glowStyle} />
             </div>
         </div>
 
@@ -638,152 +848,214 @@ const BioSection = () => {
           viewport={{ once: false, margin: "-100px" }} transition={{ duration: 0.8, delay: 0.2 }}
           style={{ 
               flex: '1 1 400px', 
-              paddingLeft: isCompact ? '20px' : '40px', 
-              borderLeft: '1px solid rgba(255,215,0,0.3)',
+              paddingInlineStart: isCompact ? '20px' : '40px', 
+              borderInlineStart: '1px solid rgba(255,215,0,0.3)',
               background: 'rgba(0,0,0,0.4)', backdropFilter: 'blur(10px)', 
-              borderRadius: '0 10px 10px 0', padding: '30px',
+              borderStartEndRadius: '10px', borderEndEndRadius: '10px', padding: '30px',
               width: '100%' // Ensure full width on mobile/tablet
           }}
         >
-          <p style={{ color: '#ccc', fontSize: '1.1rem', lineHeight: 1.8, marginBottom: '20px' }}>
-            I don't just write code, I engineer digital ecosystems. With a foundation in <span style={{ color: 'white', fontWeight: 'bold' }}>Computer Science</span> and a specialization in <span style={{ color: 'white', fontWeight: 'bold' }}>Information Systems</span>, I bridge the gap between complex backend logic and immersive frontend experiences.
-          </p>
-          <p style={{ color: '#ccc', fontSize: '1.1rem', lineHeight: 1.8 }}>
-            My philosophy is simple <strong style={glowStyle}>'Complexity should be invisible'.</strong> Whether it's a scalable cloud architecture or a 3D interactive web experience, the end user should feel nothing but seamless precision.
-          </p>
+          {bio.map((paragraph, i) => (
+            <p key={i} style={{ color: '#ccc', fontSize: '1.1rem', lineHeight: 1.8, marginBottom: i < bio.length - 1 ? '20px' : 0 }}>
+              {paragraph.map((segment, j) => {
+                if (segment.strong) return <span key={j} style={{ color: 'white', fontWeight: 'bold' }}>{segment.text}</span>;
+                if (segment.emphasis) return <strong key={j} style={glowStyle}>{segment.text}</strong>;
+                return segment.text;
+              })}
+            </p>
+          ))}
         </motion.div>
       </div>
     </section>
   );
 };
 
-const TimelineItem = ({ year, title, subtitle, align, link }) => {
-    const { isCompact } = useWindowSize();
-    
-    // FIX: On mobile (isCompact), we set effectiveAlign to 'right' to keep cards on the left side
-    const effectiveAlign = isCompact ? 'right' : align; 
-    
-    return (
-    <motion.div 
-        initial={{ opacity: 0, y: 50 }} whileInView={{ opacity: 1, y: 0 }}
-        viewport={{ once: false, margin: "-100px" }} transition={{ duration: 0.8 }}
-        style={{
-            display: 'flex', 
-            justifyContent: effectiveAlign === 'left' ? 'flex-end' : 'flex-start',
-            alignItems: 'center', marginBottom: '100px', position: 'relative', 
-            width: isCompact ? '100%' : '50%', 
-            maxWidth: '100%',
-            boxSizing: 'border-box', 
-            pointerEvents: 'auto',
-            paddingLeft: isCompact ? '30px' : 0 
-        }}
-        className={isCompact ? '' : (effectiveAlign === 'left' ? 'mr-auto pr-10' : 'ml-auto pl-10')}
-    >
-        <div style={{
-            background: 'rgba(255,255,255,0.03)', border: '1px solid rgba(255,255,255,0.08)',
-            backdropFilter: 'blur(10px)', padding: '30px', borderRadius: '20px',             
-            width: isCompact ? '100%' : '350px',
-            position: 'relative', transition: 'border 0.3s'
-        }}
-        onMouseEnter={(e) => e.currentTarget.style.borderColor = '#FFD700'}
-        onMouseLeave={(e) => e.currentTarget.style.borderColor = 'rgba(255,255,255,0.08)'}
-        >
-            <div style={{ color: '#FFD700', fontSize: '0.9rem', fontWeight: 'bold', marginBottom: '10px' }}>{year}</div>
-            <h3 style={{ color: 'white', fontSize: isCompact ? '1.2rem' : '1.5rem', marginBottom: '5px' }}>{title}</h3>
-            <p style={{ color: '#888', fontSize: '1rem', marginBottom: link ? '15px' : '0' }}>{subtitle}</p>
-            
-            {link && (
-                <a 
-                    href={link} 
-                    target="_blank" 
-                    rel="noopener noreferrer"
-                    style={{
-                        display: 'inline-flex', alignItems: 'center', gap: '8px',
-                        color: '#FFD700', fontSize: '0.9rem', fontWeight: 'bold', textDecoration: 'none',
-                        cursor: 'pointer'
-                    }}
-                    onMouseEnter={(e) => e.target.style.textDecoration = 'underline'}
-                    onMouseLeave={(e) => e.target.style.textDecoration = 'none'}
-                >
-                    View Certificate <IconArrow />
-                </a>
-            )}
-        </div>
-        
-        {/* Dot positioning logic */}
-        <div style={{
-            position: 'absolute', 
-            [effectiveAlign === 'left' && !isCompact ? 'right' : 'left']: isCompact ? '0px' : '-6px', 
-            width: '12px', height: '12px',
-            background: '#FFD700', borderRadius: '50%', boxShadow: '0 0 10px #FFD700',
-            top: isCompact ? '50%' : 'auto', 
-            transform: isCompact ? 'translateY(-50%)' : 'none'
-        }}></div>
-    </motion.div>
+const TimelineItem = ({ year, title, subtitle, align, type, details = [], links = [] }) => {
+    const { isCompact } = useWindowSize();
+    const [expanded, setExpanded] = useState(false);
+    const { t } = useLocale();
+    const expandable = details.length > 0 || links.length > 0;
+    
+    // FIX: On mobile (isCompact), we set effectiveAlign to 'right' to keep cards on the left side
+    const effectiveAlign = isCompact ? 'right' : align; 
+    
+    return (
+    <motion.div 
+        initial={{ opacity: 0, y: 50 }} whileInView={{ opacity: 1, y: 0 }}
+        viewport={{ once: false, margin: "-100px" }} transition={{ duration: 0.8 }}
+        style={{
+            display: 'flex', 
+            justifyContent: effectiveAlign === 'left' ? 'flex-end' : 'flex-start',
+            alignItems: 'center', marginBottom: '100px', position: 'relative', 
+            width: isCompact ? '100%' : '50%', 
+            maxWidth: '100%',
+            boxSizing: 'border-box', 
+            pointerEvents: 'auto',
+            paddingLeft: isCompact ? '30px' : 0 
+        }}
+        className={isCompact ? '' : (effectiveAlign === 'left' ? 'mr-auto pr-10' : 'ml-auto pl-10')}
+    >
+        <div style={{
+            background: 'rgba(255,255,255,0.03)', border: '1px solid rgba(255,255,255,0.08)',
+            backdropFilter: 'blur(10px)', padding: '30px', borderRadius: '20px',             
+            width: isCompact ? '100%' : '350px',
+            position: 'relative', transition: 'border 0.3s'
+        }}
+        onMouseEnter={(e) => e.currentTarget.style.borderColor = '#FFD700'}
+        onMouseLeave={(e) => e.currentTarget.style.borderColor = 'rgba(255,255,255,0.08)'}
+        >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', gap: '10px', marginBottom: '10px' }}>
+                <div style={{ color: '#FFD700', fontSize: '0.9rem', fontWeight: 'bold' }}>{year}</div>
+                {type && (
+                    <span style={{ color: '#888', fontSize: '0.7rem', letterSpacing: '0.15em', textTransform: 'uppercase' }}>{t(`timeline.type.${type}`)}</span>
+                )}
+            </div>
+            <h3 style={{ color: 'white', fontSize: isCompact ? '1.2rem' : '1.5rem', marginBottom: '5px' }}>{title}</h3>
+            <p style={{ color: '#888', fontSize: '1rem', marginBottom: expandable ? '15px' : '0' }}>{subtitle}</p>
+            
+            {expandable && (
+                <button
+                    onClick={() => setExpanded(open => !open)}
+                    aria-expanded={expanded}
+                    style={{
+                        background: 'none', border: 'none', padding: 0,
+                        display: 'inline-flex', alignItems: 'center', gap: '8px',
+                        color: '#FFD700', fontSize: '0.9rem', fontWeight: 'bold', cursor: 'pointer'
+                    }}
+                >
+                    {expanded ? t('timeline.hideDetails') : t('timeline.showDetails')}
+                    <span style={{ display: 'inline-block', transition: 'transform 0.3s', transform: expanded ? 'rotate(180deg)' : 'none' }}>▾</span>
+                </button>
+            )}
+
+            <AnimatePresence initial={false}>
+                {expanded && (
+                    <motion.div
+                        initial={{ height: 0, opacity: 0 }}
+                        animate={{ height: 'auto', opacity: 1 }}
+                        exit={{ height: 0, opacity: 0 }}
+                        transition={{ duration: 0.3 }}
+                        style={{ overflow: 'hidden' }}
+                    >
+                        <div style={{ paddingTop: '15px', display: 'flex', flexDirection: 'column', gap: '12px' }}>
+                            {details.length > 0 && (
+                                <ul style={{ margin: 0, paddingLeft: '18px', color: '#ccc', fontSize: '0.9rem', lineHeight: 1.6 }}>
+                                    {details.map(detail => <li key={detail}>{detail}</li>)}
+                                </ul>
+                            )}
+                            {links.map(link => (
+                                <a 
+                                    key={link.url}
+                                    href={link.url} 
+                                    target="_blank" 
+                                    rel="noopener noreferrer"
+                                    onClick={() => isDownload(link.url) && track('download', { file: link.url })}
+                                    style={{
+                                        display: 'inline-flex', alignItems: 'center', gap: '8px',
+                                        color: '#FFD700', fontSize: '0.9rem', fontWeight: 'bold', textDecoration: 'none',
+                                        cursor: 'pointer'
+                                    }}
+                                    onMouseEnter={(e) => e.target.style.textDecoration = 'underline'}
+                                    onMouseLeave={(e) => e.target.style.textDecoration = 'none'}
+                                >
+                                    {link.label} <IconArrow />
+                                </a>
+                            ))}
+                        </div>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+        
+        {/* Dot positioning logic */}
+        <div style={{
+            position: 'absolute', 
+            [effectiveAlign === 'left' && !isCompact ? 'right' : 'left']: isCompact ? '0px' : '-6px', 
+            width: '12px', height: '12px',
+            background: '#FFD700', borderRadius: '50%', boxShadow: '0 0 10px #FFD700',
+            top: isCompact ? '50%' : 'auto', 
+            transform: isCompact ? 'translateY(-50%)' : 'none'
+        }}></div>
+    </motion.div>
 )};
-const TimelineSection = () => {
-    const { isCompact } = useWindowSize();
 
-    return (
-    <section style={{ 
-        minHeight: '150vh', padding: '100px 0', position: 'relative', zIndex: 5,
-        display: 'flex', flexDirection: 'column', alignItems: 'center', pointerEvents: 'none'
-    }}>
-        <motion.h2 
-            initial={{ opacity: 0 }} whileInView={{ opacity: 1 }}
-            style={{ 
-                color: 'white', fontSize: '1.2rem', letterSpacing: '0.2em', textTransform: 'uppercase',
-                marginBottom: '100px', borderBottom: '2px solid #FFD700', paddingBottom: '10px'
-            }}
-        >
-            The Journey
-        </motion.h2>
-
-        <div style={{
-            position: 'absolute', top: '200px', bottom: '100px', 
-            left: isCompact ? '6px' : '50%', 
-            width: '2px', 
-            background: 'linear-gradient(to bottom, rgba(255,215,0,0), #FFD700, rgba(255,215,0,0))',
-            transform: isCompact ? 'none' : 'translateX(-50%)', 
-            zIndex: 0
-        }}></div>
-
-        <div style={{ width: '100%', maxWidth: '3000px', position: 'relative', zIndex: 1, padding: isCompact ? '0 20px' : '0' }}>
-            <div style={{ display: 'flex', flexDirection: 'column', width: '100%' }}>
-                <div style={{ width: '100%', display: 'flex', justifyContent: 'flex-start' }}>
-                    <div style={{ width: isCompact ? '100%' : '50%', display: 'flex', justifyContent: isCompact ? 'flex-start' : 'flex-end', paddingRight: isCompact ? 0 : '40px', position: 'relative' }}>
-                        <TimelineItem year="2020 - 2024" title="Mahindra University, India" subtitle="B.Tech in Computer Science and Engineering" align="left" 
-                          link="/MU.pdf" />
-                    </div>
-                </div>
-                
-                <div style={{ width: '100%', display: 'flex', justifyContent: isCompact ? 'flex-start' : 'flex-end', marginTop: isCompact ? 0 : '-50px' }}>
-                  <div style={{ width: isCompact ? '100%' : '50%', paddingLeft: isCompact ? 0 : '40px', position: 'relative' }}>
-                      <TimelineItem 
-                          year="June - July 2022" 
-                          title="National University of Singapore, Singapore" 
-                          subtitle="Data Analyst using Deep Learning Intern" 
-                          align="right"
-                          link="/NUS.pdf" 
-                      />
-                  </div>
-                </div>
-                <div style={{ width: '100%', display: 'flex', justifyContent: 'flex-start', marginTop: isCompact ? 0 : '-50px' }}>
-                    <div style={{ width: isCompact ? '100%' : '50%', display: 'flex', justifyContent: isCompact ? 'flex-start' : 'flex-end', paddingRight: isCompact ? 0 : '40px', position: 'relative' }}>
-                        <TimelineItem year="2025 - Present" title="George Washington University, USA" subtitle="M.S. in Information Systems and Tecnology" align="left" />
-                    </div>
-                </div>
-                <div style={{ width: '100%', display: 'flex', justifyContent: isCompact ? 'flex-start' : 'flex-end', marginTop: isCompact ? 0 : '-50px' }}>
-                    <div style={{ width: isCompact ? '100%' : '50%', paddingLeft: isCompact ? '0px' : '20px', position: 'relative' }}>
-                        <TimelineItem year="2026+" title="Building the Future" subtitle="Crafting Digital Masterpieces" align="right" />
-                    </div>
-                </div>
-            </div>
-        </div>
-    </section>
+// Always the last stop, after whatever the dated entries are.
+const TIMELINE_CLOSER = { year: '2026+', title: 'timeline.closerTitle', subtitle: 'timeline.closerSubtitle' };
+
+const TimelineSection = () => {
+    const { isCompact } = useWindowSize();
+    const [filter, setFilter] = useState('all');
+    const { locale, t } = useLocale();
+
+    const types = TIMELINE_TYPES.filter(type => timeline.some(entry => entry.type === type));
+    const entries = filter === 'all' ? timeline : timeline.filter(entry => entry.type === filter);
+    const present = t('timeline.present');
+    const items = [
+        ...entries.map(entry => ({ ...entry, key: `${entry.start}-${entry.title}`, year: formatPeriod(entry.start, entry.end, locale, { present }) })),
+        { ...TIMELINE_CLOSER, title: t(TIMELINE_CLOSER.title), subtitle: t(TIMELINE_CLOSER.subtitle), key: 'closer' },
+    ];
+
+
+    return (
+    <section id="timeline" style={{ 
+        minHeight: '150vh', padding: '100px 0', position: 'relative', zIndex: 5,
+        display: 'flex', flexDirection: 'column', alignItems: 'center', pointerEvents: 'none'
+    }}>
+        <motion.h2 
+            initial={{ opacity: 0 }} whileInView={{ opacity: 1 }}
+            style={{ 
+                color: 'white', fontSize: '1.2rem', letterSpacing: '0.2em', textTransform: 'uppercase',
+                marginBottom: types.length > 1 ? '40px' : '100px', borderBottom: '2px solid #FFD700', paddingBottom: '10px'
+            }}
+        >
+            {t('timeline.title')}
+        </motion.h2>
+
+        {types.length > 1 && (
+            <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: '10px', marginBottom: '60px', padding: '0 20px', pointerEvents: 'auto', position: 'relative', zIndex: 2 }}>
+                <button onClick={() => setFilter('all')} aria-pressed={filter === 'all'} style={chipStyle(filter === 'all')}>{t('timeline.all')}</button>
+                {types.map(type => (
+                    <button key={type} onClick={() => setFilter(type)} aria-pressed={filter === type} style={chipStyle(filter === type)}>
+                        {t(`timeline.type.${type}`)}
+                    </button>
+                ))}
+            </div>
+        )}
+
+        <div style={{
+            position: 'absolute', top: '200px', bottom: '100px', 
+            left: isCompact ? '6px' : '50%', 
+            width: '2px', 
+            background: 'linear-gradient(to bottom, rgba(255,215,0,0), #FFD700, rgba(255,215,0,0))',
+            transform: isCompact ? 'none' : 'translateX(-50%)', 
+            zIndex: 0
+        }}></div>
+
+        <div style={{ width: '100%', maxWidth: '3000px', position: 'relative', zIndex: 1, padding: isCompact ? '0 20px' : '0' }}>
+            <div style={{ display: 'flex', flexDirection: 'column', width: '100%' }}>
+                {/* Sides alternate down the line; every row after the first tucks up beside the one before. */}
+                {items.map(({ key, ...item }, i) => {
+                    const align = i % 2 === 0 ? 'left' : 'right';
+                    return (
+                        <div key={key} style={{ width: '100%', display: 'flex', justifyContent: align === 'left' || isCompact ? 'flex-start' : 'flex-end', marginTop: isCompact || i === 0 ? 0 : '-50px' }}>
+                            <div style={{
+                                width: isCompact ? '100%' : '50%', position: 'relative',
+                                ...(align === 'left'
+                                    ? { display: 'flex', justifyContent: isCompact ? 'flex-start' : 'flex-end', paddingRight: isCompact ? 0 : '40px' }
+                                    : { paddingLeft: isCompact ? 0 : '40px' })
+                            }}>
+                                <TimelineItem {...item} align={align} />
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    </section>
 )};
 
 const CustomCursor = ({ visible }) => {
+    const hydrated = useHydrated();
     const cursorRef = useRef(null);
     useEffect(() => {
         const moveCursor = (e) => {
@@ -793,7 +1065,7 @@ const CustomCursor = ({ visible }) => {
         return () => window.removeEventListener('mousemove', moveCursor);
     }, []);
 
-    if (typeof window !== 'undefined' && 'ontouchstart' in window) return null;
+    if (!hydrated || 'ontouchstart' in window) return null;
 
     return (
         <div ref={cursorRef} style={{
@@ -810,26 +1082,8 @@ const CustomCursor = ({ visible }) => {
  * PART 3: SKILLS SECTION
  * ========================================================= */
 
-const skillsData = [
-  {
-    category: "Web & Frontend",
-    skills: ["React", "Three.js", "Node.js", "JavaScript", "HTML5", "CSS3", "Bootstrap", "Flask", "Figma"]
-  },
-  {
-    category: "System & Architecture",
-    skills: ["System Design", "UML", "OOD", "Microservices", "Database Design", "Normalization", "Security"]
-  },
-  {
-    category: "Languages & Data",
-    skills: ["Python", "C & C++", "R", "TensorFlow", "Keras", "Deep Learning", "Big Data", "Analytics", "SQL"]
-  },
-  {
-    category: "Methodologies",
-    skills: ["Agile", "Scrum", "SDLC", "Git"]
-  }
-];
-
-const SkillCategoryCard = ({ category, skills, index }) => {
+const SkillCategoryCard = ({ category, skills, index, projectCounts, activeTech, onSelectTech }) => {
+  const { t } = useLocale();
   return (
     <motion.div
       variants={{
@@ -871,27 +1125,40 @@ const SkillCategoryCard = ({ category, skills, index }) => {
 
       {/* Skills Grid/Tags */}
       <div style={{ display: "flex", flexWrap: "wrap", gap: "10px" }}>
-        {skills.map((skill, i) => (
-          <motion.span
-            key={skill}
-            initial={{ opacity: 0, scale: 0.8 }}
-            whileInView={{ opacity: 1, scale: 1 }}
-            transition={{ delay: 0.1 + (i * 0.05) }}
-            whileHover={{ scale: 1.05, color: "#fff", background: "rgba(255, 215, 0, 0.2)" }}
-            style={{
-              padding: "8px 16px",
-              borderRadius: "20px",
-              background: "rgba(255, 255, 255, 0.05)",
-              border: "1px solid rgba(255, 255, 255, 0.1)",
-              color: "#ccc",
-              fontSize: "0.9rem",
-              cursor: "default",
-              transition: "all 0.2s ease"
-            }}
-          >
-            {skill}
-          </motion.span>
-        ))}
+        {skills.map((skill, i) => {
+          // Skills some project is tagged with filter the projects below; the rest are just labels.
+          const count = projectCounts.get(skill) || 0;
+          const active = activeTech === skill;
+          const Chip = count ? motion.button : motion.span;
+          return (
+            <Chip
+              key={skill}
+              initial={{ opacity: 0, scale: 0.8 }}
+              whileInView={{ opacity: 1, scale: 1 }}
+              transition={{ delay: 0.1 + (i * 0.05) }}
+              whileHover={active ? { scale: 1.05 } : { scale: 1.05, color: "#fff", background: "rgba(255, 215, 0, 0.2)" }}
+              {...(count && {
+                onClick: () => onSelectTech(skill),
+                'aria-pressed': active,
+                title: t('skills.showProjects', { count, skill })
+              })}
+              style={{
+                padding: "8px 16px",
+                borderRadius: "20px",
+                background: active ? "#FFD700" : "rgba(255, 255, 255, 0.05)",
+                border: active ? "1px solid #FFD700" : (count ? "1px solid rgba(255, 215, 0, 0.35)" : "1px solid rgba(255, 255, 255, 0.1)"),
+                color: active ? "black" : "#ccc",
+                fontSize: "0.9rem",
+                fontFamily: "inherit",
+                cursor: count ? "pointer" : "default",
+                transition: "all 0.2s ease"
+              }}
+            >
+              {skill}
+              {count > 0 && <span style={{ marginLeft: "6px", fontSize: "0.75rem", color: active ? "black" : "#FFD700" }}>{count}</span>}
+            </Chip>
+          );
+        })}
       </div>
       
       {/* Decorative Corner */}
@@ -906,7 +1173,21 @@ const SkillCategoryCard = ({ category, skills, index }) => {
 };
 
 const SkillsSection = () => {
-  const { isCompact } = useWindowSize();
+  const { isCompact } = useWindowSize();
+  const { reducedMotion } = useMotionPreference();
+  const { t } = useLocale();
+  const [filters, setFilters] = useProjectFilters();
+  const projectCounts = new Map(projectTechs(projects).map(({ tag, count }) => [tag, count]));
+
+  // Picking a skill jumps to the projects built with it; picking it again clears the filter.
+  const selectTech = (tech) => {
+    if (filters.tech === tech) {
+      setFilters({ tech: null });
+      return;
+    }
+    setFilters({ tech, category: null });
+    document.getElementById('projects')?.scrollIntoView({ behavior: reducedMotion ? 'auto' : 'smooth', block: 'start' });
+  };
   return (
     <section id="skills" style={{ 
       minHeight: "80vh", 
@@ -922,11 +1203,14 @@ const SkillsSection = () => {
         initial={{ opacity: 0, x: -50 }}
         whileInView={{ opacity: 1, x: 0 }}
         viewport={{ once: false, margin: "-100px" }}
-        style={{ marginBottom: "60px", borderLeft: "2px solid #FFD700", paddingLeft: "20px" }}
+        style={{ marginBottom: "60px", borderInlineStart: "2px solid #FFD700", paddingInlineStart: "20px" }}
       >
-        <h2 style={{ color: "white", fontSize: "2.5rem", margin: 0, fontWeight: "800" }}>Technical Arsenal</h2>
+        <h2 style={{ color: "white", fontSize: "2.5rem", margin: 0, fontWeight: "800" }}>{t('skills.title')}</h2>
         <p style={{ color: "#888", fontSize: "1rem", marginTop: "10px", letterSpacing: "0.05em" }}>
-          Core Competencies & Technologies
+          {t('skills.subtitle')}
+        </p>
+        <p style={{ color: "#666", fontSize: "0.85rem", marginTop: "5px" }}>
+          {t('skills.hint')}
         </p>
       </motion.div>
 
@@ -948,12 +1232,15 @@ const SkillsSection = () => {
           gap: "30px" 
         }}
       >
-        {skillsData.map((data, index) => (
+        {skills.map((data, index) => (
           <SkillCategoryCard 
             key={data.category} 
             category={data.category} 
-            skills={data.skills} 
-            index={index} 
+            skills={data.skills} 
+            index={index} 
+            projectCounts={projectCounts}
+            activeTech={filters.tech}
+            onSelectTech={selectTech}
           />
         ))}
       </motion.div>
@@ -969,52 +1256,27 @@ const IconGithubSmall = () => (
   </svg>
 );
 
-const projectsData = [
-  {
-    id: 1,
-    title: "AUTIX",
-    category: "AI & Healthcare",
-    image: "/child-playing-with-colorful-blocks.png", 
-    description: "Deep learning application designed to assist in the early detection of Autism Spectrum Disorder (ASD) through facial image analysis. Leveraging Transfer Learning (VGG-19 & Xception), the model achieved 86% accuracy. Features a Flask web interface for instant predictions and HIPPA-compliant data handling.",
-    repo: "https://github.com/Srinivas-Vengaldas/Autix"
-  },
-  {
-    id: 2,
-    title: "GW-Connect",
-    category: "Web Development & Agile",
-    image: "/GW.png",
-    description: "Centralized academic collaboration platform solving fragmented communication at GWU. Led end-to-end development using Agile Scrum over 5 sprints. Delivered features like real-time chat and a study marketplace, achieving a projected 65.73% ROI and a 30% reduction in development cycle times.",
-    repo: "https://github.com/Srinivas-Vengaldas/GWU-Student-Connect" 
-  },
-  {
-    id: 3,
-    title: "Smart-DMV",
-    category: "System Optimization",
-    image: "/DMV.png",
-    description: "Digital transformation of the DC DMV document verification process. Designed an AI-enhanced portal where staff pre-verify documents before appointments. The system targets a reduction in the 47-minute average wait time and mitigates the $1.3M annual productivity loss for DC businesses.",
-    repo: "https://github.com/Srinivas-Vengaldas/Smart-DMV" 
-  },
-  {
-    id: 4,
-    title: "ESPN Analysis",
-    category: "Data Analytics",
-    image: "/ESPN.png",
-    description: "Comprehensive data analysis of ESPN's digital performance over a critical 3-month period. Processed 590M+ monthly visits to assess engagement and monetization. Validated the 'mobile-first' shift (62% mobile traffic) and identified YouTube as the primary social driver (>50% referrals).",
-    repo: "https://github.com/Srinivas-Vengaldas/ESPN-Analysis" 
-  },
-  {
-    id: 5,
-    title: "Mahindra University App",
-    category: "Mobile Dev (Flutter)",
-    image: "/MU.png",
-    description: "Unified mobile platform bridging communication gaps for the Mahindra University ecosystem. Built with Flutter and Firebase, it features real-time attendance tracking, assignment management, and a parent dashboard with Google Maps integration for student safety monitoring.",
-    repo: "https://github.com/Srinivas-Vengaldas/Mahindra-University-App" 
-  }
-];
-
 const ProjectsSection = () => {
-  const [activeProject, setActiveProject] = useState(projectsData[0]);
-  const { isCompact, isMobile } = useWindowSize();
+  const [activeSlug, setActiveSlug] = useState(projects[0].slug);
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useProjectFilters();
+  const { isCompact, isMobile } = useWindowSize();
+  const { t } = useLocale();
+
+  const categories = projectCategories(projects);
+  const techs = projectTechs(projects);
+  const visibleProjects = filterProjects(projects, { ...filters, query });
+  // Keep the preview on a project that's still listed.
+  const activeProject = visibleProjects.find(project => project.slug === activeSlug) ?? visibleProjects[0];
+  const filtered = Boolean(filters.category || filters.tech || query);
+  const selectProject = (slug) => {
+    if (slug !== activeProject?.slug) track('project_select', { project: slug });
+    setActiveSlug(slug);
+  };
+  const clearFilters = () => {
+    setQuery('');
+    setFilters({ category: null, tech: null });
+  };
 
   return (
     <section id="projects" style={{ 
@@ -1043,7 +1305,7 @@ const ProjectsSection = () => {
                 initial={{ opacity: 0, y: 30 }} 
                 whileInView={{ opacity: 1, y: 0 }} 
                 transition={{ duration: 0.6 }}
-                style={{ marginBottom: isMobile ? "30px" : "50px", borderLeft: "2px solid #FFD700", paddingLeft: "20px" }}
+                style={{ marginBottom: isMobile ? "30px" : "50px", borderInlineStart: "2px solid #FFD700", paddingInlineStart: "20px" }}
             >
                 <h2 style={{ 
                     color: "white", 
@@ -1052,24 +1314,75 @@ const ProjectsSection = () => {
                     textTransform: "uppercase", 
                     margin: 0 
                 }}>
-                    Projects
+                    {t('projects.title')}
                 </h2>
             </motion.div>
 
+            {/* FILTER BAR */}
+            <div style={{ display: "flex", flexDirection: "column", gap: "12px", marginBottom: isMobile ? "30px" : "40px" }}>
+                <div style={{ display: "flex", gap: "10px", flexWrap: "wrap" }}>
+                    <input
+                        type="search"
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        placeholder={t('projects.search')}
+                        aria-label={t('projects.searchLabel')}
+                        style={{
+                            flex: "1 1 180px", background: "rgba(255,255,255,0.05)", color: "white",
+                            border: "1px solid rgba(255,255,255,0.1)", borderRadius: "50px",
+                            padding: "10px 18px", fontSize: "0.9rem", fontFamily: "inherit", outline: "none"
+                        }}
+                    />
+                    <select
+                        value={filters.tech || ''}
+                        onChange={(e) => setFilters({ tech: e.target.value })}
+                        aria-label={t('projects.techLabel')}
+                        style={{
+                            flex: "0 1 200px", background: "#111", color: filters.tech ? "#FFD700" : "#ccc",
+                            border: "1px solid rgba(255,255,255,0.1)", borderRadius: "50px",
+                            padding: "10px 18px", fontSize: "0.9rem", fontFamily: "inherit", cursor: "pointer"
+                        }}
+                    >
+                        <option value="">{t('projects.anyTech')}</option>
+                        {techs.map(({ tag, count }) => <option key={tag} value={tag}>{tag} ({count})</option>)}
+                    </select>
+                </div>
+                <div style={{ display: "flex", gap: "8px", flexWrap: "wrap" }}>
+                    <button onClick={() => setFilters({ category: null })} aria-pressed={!filters.category} style={chipStyle(!filters.category)}>{t('projects.all')}</button>
+                    {categories.map(category => (
+                        <button key={category} onClick={() => setFilters({ category })} aria-pressed={filters.category === category} style={chipStyle(filters.category === category)}>
+                            {category}
+                        </button>
+                    ))}
+                </div>
+                {filtered && (
+                    <div style={{ color: "#888", fontSize: "0.85rem" }}>
+                        {filters.tech
+                            ? t('projects.showingTech', { shown: visibleProjects.length, total: projects.length, tech: <span style={{ color: "#FFD700" }}>{filters.tech}</span> })
+                            : t('projects.showing', { shown: visibleProjects.length, total: projects.length })}
+                        {' · '}
+                        <button onClick={clearFilters} style={{ background: "none", border: "none", padding: 0, color: "#888", fontSize: "inherit", textDecoration: "underline", cursor: "pointer" }}>{t('projects.clearFilters')}</button>
+                    </div>
+                )}
+            </div>
+
             <div style={{ display: "flex", flexDirection: "column", gap: isMobile ? "15px" : "20px" }}>
-                {projectsData.map((project) => (
+                {!visibleProjects.length && (
+                    <p style={{ color: "#888", margin: 0 }}>{t('projects.empty')}</p>
+                )}
+                {visibleProjects.map((project) => (
                     <motion.div
-                        key={project.id}
-                        onHoverStart={() => !isCompact && setActiveProject(project)}
-                        onClick={() => setActiveProject(project)} 
+                        key={project.slug}
+                        onHoverStart={() => !isCompact && selectProject(project.slug)}
+                        onClick={() => selectProject(project.slug)} 
                         style={{ cursor: "pointer", position: "relative" }}
                     >
                         <h3 style={{ 
                             fontSize: isMobile ? "1.5rem" : (isCompact ? "2rem" : "2.5rem"), 
                             fontWeight: "900", 
                             margin: 0, 
-                            color: activeProject.id === project.id ? "#FFD700" : "rgba(255,255,255,0.2)", // More visible inactive state
-                            WebkitTextStroke: activeProject.id === project.id ? "none" : (isMobile ? "none" : "1px rgba(255,255,255,0.4)"), // Remove stroke on mobile for readability
+                            color: activeProject.slug === project.slug ? "#FFD700" : "rgba(255,255,255,0.2)", // More visible inactive state
+                            WebkitTextStroke: activeProject.slug === project.slug ? "none" : (isMobile ? "none" : "1px rgba(255,255,255,0.4)"), // Remove stroke on mobile for readability
                             transition: "all 0.3s ease",
                             lineHeight: 1.2,
                             display: 'flex',
@@ -1082,14 +1395,17 @@ const ProjectsSection = () => {
                                 href={project.repo} 
                                 target="_blank" 
                                 rel="noopener noreferrer"
-                                title="View on GitHub"
-                                onClick={(e) => e.stopPropagation()} 
+                                title={t('projects.viewOnGithub')}
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    track('repo_click', { project: project.slug });
+                                }} 
                                 style={{
                                     display: 'flex',
                                     alignItems: 'center',
                                     justifyContent: 'center',
-                                    color: activeProject.id === project.id ? "#FFD700" : "rgba(255,255,255,0.4)",
-                                    opacity: activeProject.id === project.id ? 1 : 0.5,
+                                    color: activeProject.slug === project.slug ? "#FFD700" : "rgba(255,255,255,0.4)",
+                                    opacity: activeProject.slug === project.slug ? 1 : 0.5,
                                     transition: 'all 0.3s ease',
                                     cursor: 'pointer'
                                 }}
@@ -1098,7 +1414,7 @@ const ProjectsSection = () => {
                             </a>
                         </h3>
                         
-                        {activeProject.id === project.id && (
+                        {activeProject.slug === project.slug && (
                              <motion.div 
                                 layoutId="highlightLine"
                                 style={{ 
@@ -1116,10 +1432,10 @@ const ProjectsSection = () => {
                             color: "#888", 
                             margin: "5px 0 0 0", 
                             fontSize: "0.85rem",
-                            opacity: activeProject.id === project.id ? 1 : 0,
-                            height: activeProject.id === project.id ? "auto" : 0, 
+                            opacity: activeProject.slug === project.slug ? 1 : 0,
+                            height: activeProject.slug === project.slug ? "auto" : 0, 
                             overflow: 'hidden',
-                            transform: activeProject.id === project.id ? "translateX(0)" : "translateX(-20px)",
+                            transform: activeProject.slug === project.slug ? "translateX(0)" : "translateX(-20px)",
                             transition: "all 0.3s ease"
                         }}>
                             {project.category}
@@ -1130,7 +1446,8 @@ const ProjectsSection = () => {
         </div>
 
         {/* RIGHT COLUMN: The "Portal" Preview */}
-        <div style={{ 
+        {activeProject && (
+        <div style={{ 
             flex: isCompact ? "1 1 100%" : "1 1 500px", 
             width: "100%",
             minHeight: isCompact ? "auto" : "500px", 
@@ -1153,7 +1470,7 @@ const ProjectsSection = () => {
                 <div style={{ position: "absolute", bottom: 20, right: 20, width: "10px", height: "10px", borderBottom: "2px solid #FFD700", borderRight: "2px solid #FFD700", zIndex: 10 }} />
 
                 <div style={{ position: "absolute", top: "25px", right: "30px", zIndex: 10, textAlign: "right" }}>
-                     <span style={{ color: "#FFD700", fontWeight: "bold", fontSize: "1.2rem" }}>0{activeProject.id}</span>
+                     <span style={{ color: "#FFD700", fontWeight: "bold", fontSize: "1.2rem" }}>0{activeProject.order}</span>
                 </div>
 
                 {/* IMAGE CONTAINER */}
@@ -1164,7 +1481,7 @@ const ProjectsSection = () => {
                     overflow: "hidden" 
                 }}>
                     <motion.img 
-                        key={activeProject.id}
+                        key={activeProject.slug}
                         src={activeProject.image}
                         initial={{ opacity: 0, scale: 1.1 }}
                         animate={{ opacity: 1, scale: 1 }}
@@ -1179,7 +1496,7 @@ const ProjectsSection = () => {
                 
                 {/* TEXT CONTAINER */}
                 <motion.div 
-                    key={`desc-${activeProject.id}`}
+                    key={`desc-${activeProject.slug}`}
                     initial={{ opacity: 0, y: 10 }}
                     animate={{ opacity: 1, y: 0 }}
                     transition={{ delay: 0.1 }}
@@ -1204,9 +1521,22 @@ const ProjectsSection = () => {
                     }}>
                         {activeProject.description}
                     </p>
+                    <RepoStats slug={activeProject.slug} compact={isMobile} />
+                    <Link 
+                        to={`/projects/${activeProject.slug}`}
+                        style={{
+                            display: 'inline-flex', alignItems: 'center', gap: '8px', marginTop: '20px',
+                            color: '#FFD700', fontSize: '0.9rem', fontWeight: 'bold', textDecoration: 'none'
+                        }}
+                        onMouseEnter={(e) => e.currentTarget.style.textDecoration = 'underline'}
+                        onMouseLeave={(e) => e.currentTarget.style.textDecoration = 'none'}
+                    >
+                        {t('projects.viewProject')} <IconArrow />
+                    </Link>
                 </motion.div>
             </div>
         </div>
+        )}
 
       </div>
     </section>
@@ -1218,14 +1548,29 @@ export default function App() {
   const [enableInteraction, setEnableInteraction] = useState(true);
   const [canvasOpacity, setCanvasOpacity] = useState(1);
   const [activeSection, setActiveSection] = useState('about');
+  const [sharedCube] = useState(() => readCubeParams());
+  const [gameActive, setGameActive] = useState(false);
+  const [cubeMoves, setCubeMoves] = useState(sharedCube?.moves);
+  const [sceneStatus, setSceneStatus] = useState('ready');
   
   const scrollRef = useRef();
+  const cubeRef = useRef();
   const projectsRef = useRef();
   const { isCompact } = useWindowSize();
-
-  const scrollToTop = () => {
+  const { settings: quality } = useQuality();
+  const { reducedMotion } = useMotionPreference();
+  const sceneVisible = useSceneVisibility({ root: scrollRef, cover: projectsRef, opacity: canvasOpacity });
+  useScrollRestoration(scrollRef);
+
+  // A rebuilt scene picks the cube up where the lost one left it.
+  const saveCubeState = useCallback(() => {
+    const moves = cubeRef.current?.getHistory();
+    if (moves) setCubeMoves(moves);
+  }, []);
+
+  const scrollToTop = () => {
     if (scrollRef.current) {
-        scrollRef.current.scrollTo({ top: 0, behavior: 'smooth' });
+        scrollRef.current.scrollTo({ top: 0, behavior: reducedMotion ? 'auto' : 'smooth' });
     }
   };
 
@@ -1275,14 +1620,19 @@ export default function App() {
     return () => scrollContainer.removeEventListener("scroll", handleScroll);
   }, []);
 
+  // A view each time another section becomes the one the navbar highlights.
+  useEffect(() => {
+    track('section_view', { section: activeSection });
+  }, [activeSection]);
+
   return (
     <div 
         ref={scrollRef}
         style={{ 
             position: 'relative', width: '100vw', height: '100vh', background: '#050505', 
             fontFamily: "'Inter', sans-serif", overflowX: 'hidden', overflowY: 'auto',
-            scrollBehavior: 'smooth' 
-    }}>
+            scrollBehavior: reducedMotion ? 'auto' : 'smooth' 
+    }}>
       <style>{`
         @import url('https://fonts.googleapis.com/css2?family=WindSong:wght@500&display=swap');
         ::-webkit-scrollbar { width: 8px; }
@@ -1293,7 +1643,7 @@ export default function App() {
       
       <Navbar activeSection={activeSection} scrollToTop={scrollToTop} />
       
-      <CustomCursor visible={cursorVisible && enableInteraction} />
+      <CustomCursor visible={cursorVisible && enableInteraction && sceneStatus === 'ready'} />
 
       {/* --- LAYER 0: 3D BACKGROUND --- */}
       <div 
@@ -1306,31 +1656,49 @@ export default function App() {
           transition: 'opacity 0.8s ease-in-out'
       }}>
         <div style={{ width: '100%', height: '100%' }}>
-            <Canvas shadows camera={{ position: [0, 0, 12], fov: isCompact ? 50 : 35, far: 100 }}>
+            <ResilientCanvas
+                fallback={<CubePoster compact={isCompact} />}
+                onStatusChange={setSceneStatus}
+                onContextLost={saveCubeState}
+                shadows frameloop={sceneVisible ? 'always' : 'demand'} dpr={quality.dpr} camera={{ position: [0, 0, 12], fov: isCompact ? 50 : 35, far: 100 }}
+            >
+                {/* Remounted on resume so the paused stretch isn't read as a slow frame. */}
+                {sceneVisible && <AdaptiveQuality />}
                 <color attach="background" args={['#050505']} />
                 <ambientLight intensity={0.5} />
-                <spotLight position={[10, 10, 10]} intensity={80} angle={0.5} penumbra={1} castShadow />
+                <spotLight position={[10, 10, 10]} intensity={80} angle={0.5} penumbra={1} castShadow={quality.shadows} />
                 <pointLight position={[-10, 0, -10]} intensity={20} color="#4444ff" /> 
                 <pointLight position={[0, -10, 0]} intensity={10} color="#ffaa00" />
 
-                <FloatingParticles />
-                <TimelineCubeAnimator scrollContainer={scrollRef}>
-                    <Float speed={2} rotationIntensity={0.2} floatIntensity={0.5}>
-                        <CubeManager />
+                <ParticleField count={quality.particles} spread={[14, 14, 8]} color="#FFD700" pointer="repel" />
+                <ScrollChoreographer keyframes={CUBE_CHOREOGRAPHY} base={CUBE_BASE} compact={isCompact} scrollContainer={scrollRef}>
+                    <Float enabled={!reducedMotion} speed={2} rotationIntensity={0.2} floatIntensity={0.5}>
+                        <CubeManager ref={cubeRef} initialMoves={cubeMoves} autoplay={!sharedCube?.moves && !reducedMotion} />
                     </Float>
-                </TimelineCubeAnimator>
+                </ScrollChoreographer>
                 
-                <ContactShadows position={[0, -4, 0]} opacity={0.4} scale={30} blur={3} far={5} color="black" />
-                <Environment preset="city" />
-                <OrbitControls enableZoom={false} enablePan={false} enabled={enableInteraction} />
-            </Canvas>
+                {quality.contactShadows && (
+                    <ContactShadows position={[0, -4, 0]} opacity={0.4} scale={30} blur={3} far={5} color="black" />
+                )}
+                <SceneEnvironment />
+                {import.meta.env.DEV && <SceneSnapshot />}
+                <OrbitControls makeDefault enableZoom={false} enablePan={false} enabled={enableInteraction} />
+            </ResilientCanvas>
         </div>
       </div>
 
       {/* --- LAYER 1: SCROLLABLE CONTENT --- */}
       <div style={{ position: 'relative', zIndex: 10 }}>
           <div style={{ pointerEvents: 'none' }}>
-              <HeroSection />
+              <HeroSection>
+                  {sceneStatus === 'ready' && (
+                      <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '15px' }}>
+                          <SpeedcubeGame cubeRef={cubeRef} onActiveChange={setGameActive} />
+                          {!gameActive && <CubeControls cubeRef={cubeRef} invalidMove={sharedCube?.invalidMove} />}
+                          <QualitySwitch />
+                      </div>
+                  )}
+              </HeroSection>
           </div>
 
           <div style={{ pointerEvents: 'auto' }}>
@@ -0,0 +1,38 @@
+import React, { Suspense, lazy } from "react";
+import { Navigate, Route, Routes } from "react-router";
+import App from "./App.jsx";
+import ProjectPage from "./projects/ProjectPage.jsx";
+import { QualityProvider } from "./scene/QualityManager.jsx";
+import { MotionPreferenceProvider } from "./motion/MotionManager.jsx";
+import { LocaleProvider } from "./i18n/LocaleManager.jsx";
+import UpdateToast from "./pwa/UpdateToast.jsx";
+
+// The writing pages carry every post's HTML; only load them when visited.
+const BlogIndex = lazy(() => import("./blog/BlogIndex.jsx"));
+const PostPage = lazy(() => import("./blog/PostPage.jsx"));
+
+// Every page of the site, shared by the browser (main.jsx) and the prerender
+// (entry-server.jsx). React hydrates a Suspense boundary after the rest of the
+// tree, so it goes outside the providers: they must not switch to the
+// visitor's settings (routing/hydration.js) before the page below them has
+// hydrated.
+const AppRoutes = () => (
+  <Suspense fallback={null}>
+    <MotionPreferenceProvider>
+      <QualityProvider>
+        <LocaleProvider>
+          <Routes>
+            <Route path="/" element={<App />} />
+            <Route path="/projects/:slug" element={<ProjectPage />} />
+            <Route path="/writing" element={<BlogIndex />} />
+            <Route path="/writing/:slug" element={<PostPage />} />
+            <Route path="*" element={<Navigate to="/" replace />} />
+          </Routes>
+          <UpdateToast />
+        </LocaleProvider>
+      </QualityProvider>
+    </MotionPreferenceProvider>
+  </Suspense>
+);
+
+export default AppRoutes;
@@ -0,0 +1,67 @@
+import { MAX_BATCH } from "./analyticsEvents";
+
+// A small first-party event log: which sections people reach, which projects
+// they look at, what they download. Nothing is stored in the browser (no
+// cookies, no storage) and nothing is sent when the visitor asks not to be
+// tracked. Events are queued and posted in batches.
+
+// `npm run dev` only: plugins/analytics collects here.
+const DEV_ENDPOINT = '/__analytics/events';
+const FLUSH_DELAY = 10 * 1000;
+
+/**
+ * Where batches go: VITE_ANALYTICS_ENDPOINT, or the dev server's collector
+ * while developing. A build without the variable records nothing.
+ */
+export const resolveAnalyticsEndpoint = (env) => env.VITE_ANALYTICS_ENDPOINT || (env.DEV ? DEV_ENDPOINT : null);
+
+const endpoint = resolveAnalyticsEndpoint(import.meta.env);
+
+const doNotTrack = () => (
+  navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true
+);
+
+// Groups one page load's events; it lives only in memory, so a reload is a new visit.
+const newVisitId = () => (
+  window.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+);
+
+let tracker;
+
+const createTracker = () => {
+  const visit = newVisitId();
+  let queue = [];
+  let timer = null;
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!queue.length) return;
+    // Plain text keeps a cross-origin collector free of CORS preflights, which beacons can't make.
+    const body = JSON.stringify({ visit, events: queue });
+    queue = [];
+    if (navigator.sendBeacon?.(endpoint, new Blob([body], { type: 'text/plain' }))) return;
+    fetch(endpoint, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'text/plain' } }).catch(() => {});
+  };
+
+  // Whatever is queued goes out before the tab is hidden or closed.
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flush();
+  });
+  window.addEventListener('pagehide', flush);
+
+  return (type, props) => {
+    queue.push({ type, props, path: window.location.pathname });
+    if (queue.length >= MAX_BATCH) flush();
+    else timer ??= setTimeout(flush, FLUSH_DELAY);
+  };
+};
+
+/** Records an event (see analyticsEvents.js for the types and their props). Call it from effects and handlers. */
+export const track = (type, props = {}) => {
+  if (tracker === undefined) tracker = endpoint && !doNotTrack() ? createTracker() : null;
+  tracker?.(type, props);
+};
+
+// Resumes and certificates are the site's files; everything else is a page.
+export const isDownload = (url) => /\.pdf$/i.test(url.split(/[?#]/)[0]);
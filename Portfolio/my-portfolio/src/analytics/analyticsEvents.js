@@ -0,0 +1,35 @@
+// The events the site records and what each may carry. The collector
+// (plugins/analytics) keeps only these, so a batch can't fill its log with
+// anything else.
+
+export const EVENT_PROPS = {
+  // The navbar's highlighted section changed.
+  section_view: ['section'],
+  // A project was picked in the list (hover on desktop, tap on mobile).
+  project_select: ['project'],
+  repo_click: ['project'],
+  // A resume or certificate file.
+  download: ['file'],
+  // "Get in Touch", from the navbar or the mobile menu.
+  contact_open: ['from'],
+};
+
+export const MAX_BATCH = 20;
+const MAX_VALUE = 200;
+
+const text = (value) => (typeof value === 'string' ? value.slice(0, MAX_VALUE) : null);
+
+/**
+ * The events of a posted batch that are worth keeping, each
+ * `{ type, props, path, visit }`. Unknown types and props are dropped.
+ */
+export const normalizeBatch = (batch) => {
+  if (!batch || !Array.isArray(batch.events)) return [];
+  const visit = text(batch.visit);
+  return batch.events.slice(0, MAX_BATCH).flatMap((event) => {
+    if (!Object.hasOwn(EVENT_PROPS, event?.type)) return [];
+    const keys = EVENT_PROPS[event.type];
+    const props = Object.fromEntries(keys.map(key => [key, text(event.props?.[key])]).filter(([, value]) => value));
+    return [{ type: event.type, props, path: text(event.path) ?? '/', visit }];
+  });
+};
@@ -0,0 +1,84 @@
+import React from "react";
+import { Link, useSearchParams } from "react-router";
+import { motion } from "framer-motion";
+import { posts } from "virtual:posts";
+import { site } from "virtual:content";
+import ScrollPage, { BackLink } from "../routing/ScrollPage";
+import { useDocumentTitle } from "../routing/documentTitle";
+import { useHydrated } from "../routing/hydration";
+import { chipStyle } from "../routing/pageStyles";
+import PostMeta from "./PostMeta";
+import { postTags } from "./postFormat";
+
+const MotionLink = motion.create(Link);
+
+const feedLink = { color: '#888', fontSize: '0.85rem', textDecoration: 'underline' };
+
+const BlogIndex = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const hydrated = useHydrated();
+  const tag = hydrated ? searchParams.get('tag') : null;
+  const tags = postTags(posts);
+  const visiblePosts = tag ? posts.filter(post => post.tags.includes(tag)) : posts;
+  useDocumentTitle('Writing');
+
+  const selectTag = (next) => setSearchParams(next ? { tag: next } : {}, { replace: true });
+
+  return (
+    <ScrollPage>
+      <div style={{ maxWidth: '800px', margin: '0 auto', padding: 'clamp(25px, 6vw, 80px) clamp(20px, 5vw, 40px)', boxSizing: 'border-box' }}>
+        <BackLink to="/">Home</BackLink>
+
+        <header style={{ margin: '50px 0 40px 0', borderLeft: '2px solid #FFD700', paddingLeft: '20px' }}>
+          <h1 style={{ color: 'white', fontSize: 'clamp(2.2rem, 6vw, 3.5rem)', fontWeight: 900, margin: 0 }}>Writing</h1>
+          <p style={{ color: '#888', margin: '10px 0 0 0', lineHeight: 1.6 }}>{site.description}</p>
+          <div style={{ display: 'flex', gap: '15px', marginTop: '10px' }}>
+            <a href="/rss.xml" style={feedLink}>RSS</a>
+            <a href="/atom.xml" style={feedLink}>Atom</a>
+          </div>
+        </header>
+
+        {tags.length > 1 && (
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '40px' }}>
+            <button onClick={() => selectTag(null)} aria-pressed={!tag} style={chipStyle(!tag)}>All</button>
+            {tags.map(name => (
+              <button key={name} onClick={() => selectTag(name)} aria-pressed={tag === name} style={chipStyle(tag === name)}>{name}</button>
+            ))}
+          </div>
+        )}
+
+        {!visiblePosts.length && (
+          <p style={{ color: '#888' }}>{posts.length ? 'No posts with that tag yet.' : 'Nothing published yet. Check back soon.'}</p>
+        )}
+
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '20px' }}>
+          {visiblePosts.map((post, i) => (
+            <MotionLink
+              key={post.slug}
+              to={`/writing/${post.slug}`}
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: i * 0.05 }}
+              whileHover={{ borderColor: 'rgba(255, 215, 0, 0.5)', y: -3 }}
+              style={{
+                display: 'block', padding: '30px', borderRadius: '20px', textDecoration: 'none',
+                border: '1px solid rgba(255,255,255,0.08)', background: 'rgba(255,255,255,0.03)'
+              }}
+            >
+              <PostMeta post={post} />
+              <h2 style={{ color: 'white', fontSize: '1.5rem', margin: '10px 0' }}>{post.title}</h2>
+              <p style={{ color: '#ccc', margin: 0, lineHeight: 1.6 }}>{post.summary}</p>
+              {post.tags.length > 0 && (
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginTop: '15px' }}>
+                  {post.tags.map(name => <span key={name} style={{ color: '#FFD700', fontSize: '0.8rem' }}>#{name}</span>)}
+                </div>
+              )}
+            </MotionLink>
+          ))}
+        </div>
+      </div>
+    </ScrollPage>
+  );
+};
+
+export default BlogIndex;
@@ -0,0 +1,22 @@
+import React from "react";
+import { formatPostDate, formatReadingTime } from "./postFormat";
+import { useLocale } from "../i18n/locale";
+
+const PostMeta = ({ post }) => {
+  const { locale } = useLocale();
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '10px', color: '#888', fontSize: '0.85rem' }}>
+      <time dateTime={post.date}>{formatPostDate(post.date, locale)}</time>
+      <span>·</span>
+      <span>{formatReadingTime(post.readingTime)}</span>
+      {post.draft && (
+        <span style={{ color: 'black', background: '#FFD700', borderRadius: '4px', padding: '2px 8px', fontSize: '0.7rem', fontWeight: 'bold', letterSpacing: '0.1em', textTransform: 'uppercase' }}>
+          Draft
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default PostMeta;
@@ -0,0 +1,84 @@
+import React from "react";
+import { Link, useParams } from "react-router";
+import { motion } from "framer-motion";
+import { posts } from "virtual:posts";
+import ScrollPage, { BackLink, IconArrow } from "../routing/ScrollPage";
+import { useDocumentTitle } from "../routing/documentTitle";
+import PostMeta from "./PostMeta";
+import "./prose.css";
+
+const MotionArticle = motion.article;
+
+const PostNotFound = ({ slug }) => (
+  <div style={{ minHeight: '100vh', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', gap: '25px', padding: '20px', textAlign: 'center' }}>
+    <h1 style={{ color: 'white', margin: 0 }}>No post called “{slug}”</h1>
+    <p style={{ color: '#888', margin: 0 }}>It may have been renamed or unpublished.</p>
+    <BackLink to="/writing">All writing</BackLink>
+  </div>
+);
+
+const NeighbourLink = ({ post, label, align }) => (
+  <Link
+    to={`/writing/${post.slug}`}
+    style={{
+      flex: '1 1 250px', display: 'flex', flexDirection: 'column', gap: '5px', alignItems: align,
+      padding: '25px 30px', borderRadius: '20px', textDecoration: 'none',
+      border: '1px solid rgba(255,255,255,0.08)', background: 'rgba(255,255,255,0.03)'
+    }}
+  >
+    <span style={{ display: 'inline-flex', alignItems: 'center', gap: '8px', color: '#888', fontSize: '0.8rem', letterSpacing: '0.1em', textTransform: 'uppercase' }}>
+      {align === 'flex-start' && <IconArrow flip />}{label}{align === 'flex-end' && <IconArrow />}
+    </span>
+    <span style={{ color: 'white', fontSize: '1.1rem', fontWeight: 'bold' }}>{post.title}</span>
+  </Link>
+);
+
+const PostPage = () => {
+  const { slug } = useParams();
+  const index = posts.findIndex(post => post.slug === slug);
+  const post = posts[index];
+  // Posts are newest first.
+  const newer = posts[index - 1];
+  const older = posts[index + 1];
+  useDocumentTitle(post?.title);
+
+  return (
+    <ScrollPage>
+      {!post ? <PostNotFound slug={slug} /> : (
+        <MotionArticle
+          key={post.slug}
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.6 }}
+          style={{ maxWidth: '760px', margin: '0 auto', padding: 'clamp(25px, 6vw, 80px) clamp(20px, 5vw, 40px)', boxSizing: 'border-box' }}
+        >
+          <BackLink to="/writing">All writing</BackLink>
+
+          <header style={{ margin: '50px 0 40px 0' }}>
+            <PostMeta post={post} />
+            <h1 style={{ color: 'white', fontSize: 'clamp(2rem, 5vw, 3rem)', fontWeight: 900, margin: '10px 0 15px 0', lineHeight: 1.15 }}>{post.title}</h1>
+            {post.tags.length > 0 && (
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px' }}>
+                {post.tags.map(tag => (
+                  <Link key={tag} to={`/writing?tag=${encodeURIComponent(tag)}`} style={{ color: '#FFD700', fontSize: '0.85rem', textDecoration: 'none' }}>#{tag}</Link>
+                ))}
+              </div>
+            )}
+          </header>
+
+          {/* Rendered from our own Markdown at build time (plugins/content/posts.js). */}
+          <div className="prose" dangerouslySetInnerHTML={{ __html: post.html }} />
+
+          {(newer || older) && (
+            <nav aria-label="More writing" style={{ display: 'flex', flexWrap: 'wrap', gap: '20px', marginTop: '80px' }}>
+              {older && <NeighbourLink post={older} label="Older" align="flex-start" />}
+              {newer && <NeighbourLink post={newer} label="Newer" align="flex-end" />}
+            </nav>
+          )}
+        </MotionArticle>
+      )}
+    </ScrollPage>
+  );
+};
+
+export default PostPage;
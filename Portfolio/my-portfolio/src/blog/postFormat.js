@@ -0,0 +1,8 @@
+// Post dates are calendar days; format them in UTC so no time zone shifts them.
+export const formatPostDate = (day, locale) => new Date(`${day}T00:00:00Z`).toLocaleDateString(locale, {
+  year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC',
+});
+
+export const formatReadingTime = (minutes) => `${minutes} min read`;
+
+export const postTags = (posts) => [...new Set(posts.flatMap(post => post.tags))].sort((a, b) => a.localeCompare(b));
@@ -0,0 +1,209 @@
+import React, { useState } from "react";
+import { AnimatePresence, motion } from "framer-motion";
+import { social } from "virtual:content";
+import { contactAdapter, mailtoUrl } from "./contactAdapters";
+import { EMPTY_CONTACT, HONEYPOT, LIMITS, MIN_MESSAGE, loadSendTimes, normalizeContact, recordSend, retryAfter, validateContact } from "./contactForm";
+import { useLocale } from "../i18n/locale";
+import { sectionLabel } from "../routing/pageStyles";
+
+const MotionOverlay = motion.div;
+const MotionPanel = motion.div;
+
+const fieldStyle = (invalid) => ({
+  width: '100%', boxSizing: 'border-box', background: 'rgba(255,255,255,0.05)', color: 'white',
+  border: `1px solid ${invalid ? '#ff6b6b' : 'rgba(255,255,255,0.1)'}`, borderRadius: '12px',
+  padding: '12px 16px', fontSize: '0.95rem', fontFamily: 'inherit', outline: 'none'
+});
+
+const labelStyle = { display: 'flex', flexDirection: 'column', gap: '6px', color: '#ccc', fontSize: '0.85rem' };
+const errorStyle = { color: '#ff6b6b', fontSize: '0.8rem' };
+const submitStyle = {
+  background: '#FFD700', color: 'black', border: 'none', borderRadius: '50px',
+  padding: '12px 28px', fontSize: '0.95rem', fontWeight: 'bold', cursor: 'pointer', fontFamily: 'inherit'
+};
+const linkStyle = { color: '#FFD700' };
+
+// Off-screen rather than display: none, which some bots skip.
+const honeypotStyle = { position: 'absolute', left: '-10000px', width: '1px', height: '1px', overflow: 'hidden' };
+
+const Field = ({ label, error, children }) => (
+  <label style={labelStyle}>
+    {label}
+    {children}
+    {error && <span style={errorStyle}>{error}</span>}
+  </label>
+);
+
+const ContactModal = ({ open, onClose }) => {
+  const { t } = useLocale();
+  const [fields, setFields] = useState(EMPTY_CONTACT);
+  const [honeypot, setHoneypot] = useState('');
+  const [errors, setErrors] = useState({});
+  const [showErrors, setShowErrors] = useState(false);
+  // idle -> sending -> sent | handoff (mail app opened) | error
+  const [status, setStatus] = useState('idle');
+  // A message key and its params.
+  const [failure, setFailure] = useState(null);
+  const [sentBy, setSentBy] = useState(null);
+
+  const close = () => {
+    if (status === 'sending') return;
+    setStatus('idle');
+    onClose();
+  };
+
+  const update = (key) => (e) => {
+    const next = { ...fields, [key]: e.target.value };
+    setFields(next);
+    // Errors appear after the first submit, then follow every keystroke.
+    if (showErrors) setErrors(validateContact(next));
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const found = validateContact(fields);
+    setErrors(found);
+    setShowErrors(true);
+    if (Object.keys(found).length) return;
+
+    const contact = normalizeContact(fields);
+    const wait = retryAfter(loadSendTimes(), Date.now());
+    if (wait) {
+      setFailure({ key: 'contact.wait', params: { count: Math.ceil(wait / 60000) } });
+      setStatus('error');
+      return;
+    }
+
+    setStatus('sending');
+    try {
+      const { delivered } = await contactAdapter.send({ ...contact, [HONEYPOT]: honeypot });
+      if (delivered) recordSend();
+      setSentBy(contact);
+      setFields(EMPTY_CONTACT);
+      setShowErrors(false);
+      setStatus(delivered ? 'sent' : 'handoff');
+    } catch (err) {
+      setErrors(err.errors || {});
+      setFailure({ key: err.message, params: { status: err.status } });
+      setStatus('error');
+    }
+  };
+
+  const done = status === 'sent' || status === 'handoff';
+  const visibleErrors = showErrors ? errors : {};
+  const fieldError = (field) => visibleErrors[field] && t(visibleErrors[field], { min: MIN_MESSAGE, max: LIMITS[field] });
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <MotionOverlay
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          onMouseDown={(e) => e.target === e.currentTarget && close()}
+          onKeyDown={(e) => e.key === 'Escape' && close()}
+          style={{
+            position: 'fixed', inset: 0, zIndex: 300, background: 'rgba(0,0,0,0.7)', backdropFilter: 'blur(8px)',
+            display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '20px', pointerEvents: 'auto'
+          }}
+        >
+          <MotionPanel
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="contact-title"
+            initial={{ opacity: 0, y: 30, scale: 0.97 }}
+            animate={{ opacity: 1, y: 0, scale: 1 }}
+            exit={{ opacity: 0, y: 30, scale: 0.97 }}
+            transition={{ type: 'spring', damping: 25, stiffness: 250 }}
+            style={{
+              position: 'relative', width: '100%', maxWidth: '520px', maxHeight: '90vh', overflowY: 'auto', boxSizing: 'border-box',
+              background: 'rgba(10,10,10,0.95)', border: '1px solid rgba(255,215,0,0.3)', borderRadius: '20px',
+              padding: '30px', color: 'white'
+            }}
+          >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline' }}>
+              <p style={sectionLabel}>{t('contact.label')}</p>
+              <button type="button" onClick={close} style={{ background: 'none', border: 'none', color: '#888', cursor: 'pointer', fontFamily: 'inherit' }}>{t('contact.close')}</button>
+            </div>
+            <h2 id="contact-title" style={{ margin: '0 0 20px 0', fontSize: '1.8rem', fontWeight: '800', letterSpacing: '-0.02em' }}>
+              {done ? t('contact.thanks') : t('contact.title')}
+            </h2>
+
+            {status === 'sent' && (
+              <p style={{ color: '#ccc', lineHeight: 1.6, margin: 0 }}>
+                {t('contact.sent', { name: sentBy.name, email: <span style={{ color: 'white' }}>{sentBy.email}</span> })}
+              </p>
+            )}
+            {status === 'handoff' && (
+              <p style={{ color: '#ccc', lineHeight: 1.6, margin: 0 }}>
+                {t('contact.handoff', { email: <a href={mailtoUrl(sentBy)} style={linkStyle}>{social.email}</a> })}
+              </p>
+            )}
+
+            {!done && (
+              <form onSubmit={submit} noValidate style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
+                <Field label={t('contact.name')} error={fieldError('name')}>
+                  <input
+                    autoFocus
+                    value={fields.name}
+                    onChange={update('name')}
+                    maxLength={LIMITS.name}
+                    autoComplete="name"
+                    aria-invalid={Boolean(visibleErrors.name)}
+                    disabled={status === 'sending'}
+                    style={fieldStyle(visibleErrors.name)}
+                  />
+                </Field>
+                <Field label={t('contact.email')} error={fieldError('email')}>
+                  <input
+                    type="email"
+                    value={fields.email}
+                    onChange={update('email')}
+                    maxLength={LIMITS.email}
+                    autoComplete="email"
+                    aria-invalid={Boolean(visibleErrors.email)}
+                    disabled={status === 'sending'}
+                    style={fieldStyle(visibleErrors.email)}
+                  />
+                </Field>
+                <Field label={t('contact.message')} error={fieldError('message')}>
+                  <textarea
+                    rows={6}
+                    value={fields.message}
+                    onChange={update('message')}
+                    maxLength={LIMITS.message}
+                    aria-invalid={Boolean(visibleErrors.message)}
+                    disabled={status === 'sending'}
+                    style={{ ...fieldStyle(visibleErrors.message), resize: 'vertical' }}
+                  />
+                </Field>
+                <div style={honeypotStyle} aria-hidden="true">
+                  <label>
+                    {t('contact.honeypot')}
+                    <input name={HONEYPOT} tabIndex={-1} autoComplete="off" value={honeypot} onChange={(e) => setHoneypot(e.target.value)} />
+                  </label>
+                </div>
+
+                {status === 'error' && (
+                  <p role="alert" style={{ ...errorStyle, fontSize: '0.9rem', margin: 0, lineHeight: 1.5 }}>
+                    {t(failure.key, failure.params)}{' '}
+                    <a href={mailtoUrl(normalizeContact(fields))} style={linkStyle}>{t('contact.emailInstead')}</a>
+                  </p>
+                )}
+
+                <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: '15px' }}>
+                  <span style={{ color: '#666', fontSize: '0.8rem' }}>{fields.message.length}/{LIMITS.message}</span>
+                  <button type="submit" disabled={status === 'sending'} style={{ ...submitStyle, opacity: status === 'sending' ? 0.6 : 1 }}>
+                    {status === 'sending' ? t('contact.sending') : t('contact.send')}
+                  </button>
+                </div>
+              </form>
+            )}
+          </MotionPanel>
+        </MotionOverlay>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default ContactModal;
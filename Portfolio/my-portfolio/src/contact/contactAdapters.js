@@ -0,0 +1,94 @@
+import { social } from "virtual:content";
+import { HONEYPOT } from "./contactForm";
+
+// Where a contact message goes. Every adapter has `send(contact)`, which
+// resolves to `{ delivered }` (false when it only handed off to the visitor's
+// mail app) or rejects with a ContactError. `contact[HONEYPOT]` is the hidden
+// field's value; each adapter passes it on to whatever can reject the message.
+
+// The message is a key in src/i18n/messages, shown with `{ status }`. Field
+// errors from the dev endpoint are keys too (see validateContact).
+export class ContactError extends Error {
+  constructor(message, { status = 0, errors = {} } = {}) {
+    super(message);
+    this.name = 'ContactError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+const STATUS_ERRORS = { 422: 'contact.error.invalid', 429: 'contact.error.rateLimited' };
+
+const postJson = async (url, body) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+  } catch {
+    throw new ContactError('contact.error.offline');
+  }
+  if (response.ok) return;
+  const data = await response.json().catch(() => ({}));
+  throw new ContactError(STATUS_ERRORS[response.status] ?? 'contact.error.failed', { status: response.status, errors: data.errors });
+};
+
+export const mailtoUrl = ({ name, email, message }) => {
+  const subject = `Portfolio message from ${name}`;
+  const body = `${message}\n\n${name} <${email}>`;
+  return `mailto:${social.email}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+};
+
+// `npm run dev` only: plugins/contact writes messages to .cache/.
+export const devServerAdapter = {
+  id: 'dev',
+  send: async (contact) => {
+    await postJson('/api/contact', contact);
+    return { delivered: true };
+  },
+};
+
+/**
+ * Any endpoint that takes a JSON POST (Formspree, a Slack or Discord relay, a
+ * serverless function…). The honeypot goes out as `_gotcha`, the field
+ * Formspree drops messages by; a relay of your own should do the same.
+ *
+ * The form's rate limit lives in the visitor's browser, and anyone can POST to
+ * the URL directly, so rate limiting has to happen at the webhook.
+ */
+export const webhookAdapter = (url) => ({
+  id: 'webhook',
+  send: async ({ [HONEYPOT]: gotcha = '', ...contact }) => {
+    await postJson(url, { ...contact, _gotcha: gotcha, page: window.location.href, sentAt: new Date().toISOString() });
+    return { delivered: true };
+  },
+});
+
+// Opens the visitor's mail app with the message filled in; works without any
+// backend. There is no server to drop a bot's message, so it is dropped here.
+export const mailtoAdapter = {
+  id: 'mailto',
+  send: async (contact) => {
+    if (contact[HONEYPOT]) return { delivered: true };
+    window.location.href = mailtoUrl(contact);
+    return { delivered: false };
+  },
+};
+
+/**
+ * Picks the adapter from VITE_CONTACT_ADAPTER ("dev", "webhook" or "mailto").
+ * Left unset, it is the dev endpoint while developing, the webhook when
+ * VITE_CONTACT_WEBHOOK is set, and mailto otherwise. Anything it can't use
+ * falls back to mailto; plugins/contact warns about that when the site is built.
+ */
+export const resolveContactAdapter = (env) => {
+  const webhook = env.VITE_CONTACT_WEBHOOK;
+  const choice = env.VITE_CONTACT_ADAPTER || (env.DEV ? 'dev' : webhook ? 'webhook' : 'mailto');
+  if (choice === 'dev') return devServerAdapter;
+  if (choice === 'webhook' && webhook) return webhookAdapter(webhook);
+  return mailtoAdapter;
+};
+
+export const contactAdapter = resolveContactAdapter(import.meta.env);
@@ -0,0 +1,64 @@
+// Validation and spam guards for the contact form. The dev server endpoint
+// (plugins/contact) runs the same checks, so what the form accepts, it accepts.
+
+export const LIMITS = { name: 100, email: 254, message: 5000 };
+export const MIN_MESSAGE = 10;
+
+// A field people never see. Bots fill in every input they find, so a value here
+// means the message is quietly dropped.
+export const HONEYPOT = 'website';
+
+// At most `max` messages per `windowMs`, per browser (and per address on the server).
+export const RATE_LIMIT = { max: 3, windowMs: 10 * 60 * 1000 };
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const EMPTY_CONTACT = { name: '', email: '', message: '' };
+
+export const normalizeContact = ({ name = '', email = '', message = '' }) => ({
+  name: String(name).trim(),
+  email: String(email).trim(),
+  message: String(message).trim(),
+});
+
+/**
+ * Returns a message key (src/i18n/messages) per invalid field, to be shown
+ * with `{ min: MIN_MESSAGE, max: LIMITS[field] }`; an empty object means it
+ * can be sent.
+ */
+export const validateContact = (contact) => {
+  const { name, email, message } = normalizeContact(contact);
+  const errors = {};
+  if (!name) errors.name = 'contact.invalid.name';
+  else if (name.length > LIMITS.name) errors.name = 'contact.invalid.nameLength';
+  if (!EMAIL.test(email) || email.length > LIMITS.email) errors.email = 'contact.invalid.email';
+  if (message.length < MIN_MESSAGE) errors.message = 'contact.invalid.messageShort';
+  else if (message.length > LIMITS.message) errors.message = 'contact.invalid.messageLength';
+  return errors;
+};
+
+/** Milliseconds until another message may be sent, given earlier send times; 0 when it may go now. */
+export const retryAfter = (sentAt, now) => {
+  const recent = sentAt.filter(time => now - time < RATE_LIMIT.windowMs);
+  return recent.length < RATE_LIMIT.max ? 0 : Math.min(...recent) + RATE_LIMIT.windowMs - now;
+};
+
+const STORAGE_KEY = 'contact-sent';
+
+export const loadSendTimes = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved.filter(Number.isFinite) : [];
+  } catch {
+    return [];
+  }
+};
+
+export const recordSend = (now = Date.now()) => {
+  const times = [...loadSendTimes().filter(time => now - time < RATE_LIMIT.windowMs), now];
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(times));
+  } catch {
+    // Storage unavailable: the server-side limit still applies.
+  }
+};
@@ -0,0 +1,108 @@
+import React, { useEffect, useState } from "react";
+import { buildCubeUrl, generateScramble } from "./notation";
+import { isSolved } from "./cubeState";
+import { solveInWorker, warmUpSolver } from "./solverClient";
+import { useLocale } from "../i18n/locale";
+import { useHydrated } from "../routing/hydration";
+
+const SCRAMBLE_TURN_DURATION = 150;
+const SOLVE_TURN_DURATION = 250;
+
+// Keeps the router's state on the entry, so back/forward still restore it.
+const replaceUrl = (url) => window.history.replaceState(window.history.state, '', url);
+
+const buttonStyle = {
+  background: 'rgba(255,255,255,0.08)', color: 'white',
+  border: '1px solid rgba(255,255,255,0.15)', borderRadius: '50px',
+  padding: '10px 20px', fontSize: '0.85rem', fontWeight: '500',
+  cursor: 'pointer', backdropFilter: 'blur(10px)'
+};
+
+// The status line holds `{ key, params }` to translate, or `{ text }` (a
+// scramble, which reads the same in every language). A shared link's
+// `invalidMove` fills it until there is something newer to say.
+const CubeControls = ({ cubeRef, invalidMove }) => {
+  const { t } = useLocale();
+  const hydrated = useHydrated();
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    // Table generation takes a couple of seconds; get it out of the way early.
+    const idle = window.requestIdleCallback || ((cb) => setTimeout(cb, 2000));
+    idle(() => warmUpSolver());
+  }, []);
+
+  const scramble = async () => {
+    if (!cubeRef.current || busy) return;
+    const { text, moves } = generateScramble();
+    setBusy(true);
+    setStatus({ text });
+    cubeRef.current.setLocked(true);
+    await Promise.all(moves.map(move => cubeRef.current.turn(move, 1, SCRAMBLE_TURN_DURATION)));
+    cubeRef.current.setLocked(false);
+    replaceUrl(buildCubeUrl(cubeRef.current.getHistory()));
+    setBusy(false);
+  };
+
+  const solve = async () => {
+    if (!cubeRef.current || busy) return;
+    setBusy(true);
+    cubeRef.current.setPaused(true);
+    // A drag between the computed turns would leave the cube unsolved.
+    cubeRef.current.setLocked(true);
+    const pieces = await cubeRef.current.getPieces();
+    if (isSolved(pieces)) {
+      setStatus({ key: 'cube.alreadySolved' });
+      cubeRef.current.setLocked(false);
+      cubeRef.current.setPaused(false);
+      setBusy(false);
+      return;
+    }
+    setStatus({ key: 'cube.thinking' });
+    try {
+      const moves = await solveInWorker(pieces);
+      for (let i = 0; i < moves.length; i++) {
+        setStatus({ key: 'cube.solving', params: { move: i + 1, total: moves.length } });
+        await cubeRef.current.turn(moves[i], 1, SOLVE_TURN_DURATION);
+      }
+      if (!isSolved(await cubeRef.current.getPieces())) throw new Error('The cube did not end up solved.');
+      setStatus({ key: 'cube.solved', params: { count: moves.length } });
+      replaceUrl(buildCubeUrl(cubeRef.current.getHistory()));
+    } catch {
+      setStatus({ key: 'cube.unsolvable' });
+    }
+    cubeRef.current.setLocked(false);
+    cubeRef.current.setPaused(false);
+    setBusy(false);
+  };
+
+  const share = async () => {
+    if (!cubeRef.current) return;
+    const url = buildCubeUrl(cubeRef.current.getHistory());
+    replaceUrl(url);
+    try {
+      await navigator.clipboard.writeText(url);
+      setStatus({ key: 'cube.linkCopied' });
+    } catch {
+      setStatus({ key: 'cube.linkInAddressBar' });
+    }
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '10px', pointerEvents: 'auto' }}>
+      <div style={{ display: 'flex', gap: '10px' }}>
+        <button onClick={scramble} disabled={busy} style={{ ...buttonStyle, opacity: busy ? 0.5 : 1 }}>{t('cube.scramble')}</button>
+        <button onClick={solve} disabled={busy} style={{ ...buttonStyle, opacity: busy ? 0.5 : 1 }}>{t('cube.solve')}</button>
+        <button onClick={share} style={buttonStyle}>{t('cube.share')}</button>
+      </div>
+      <div style={{ color: '#888', fontSize: '0.75rem', letterSpacing: '0.05em', minHeight: '1em', fontFamily: 'monospace' }}>
+        {status
+          ? status.text ?? t(status.key, status.params)
+          : hydrated && invalidMove && t('cube.unknownMove', { move: invalidMove })}
+      </div>
+    </div>
+  );
+};
+
+export default CubeControls;
@@ -0,0 +1,209 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { generateScramble } from "./notation";
+import { isSolved } from "./cubeState";
+import { solveInWorker } from "./solverClient";
+import { clearSolves, formatTime, loadSolves, personalBests, saveSolve } from "./speedcubeRecords";
+import { useLocale } from "../i18n/locale";
+
+const INSPECTION_MS = 15000;
+const SCRAMBLE_TURN_DURATION = 120;
+
+const pillStyle = {
+  background: 'rgba(255,255,255,0.08)', color: 'white',
+  border: '1px solid rgba(255,255,255,0.15)', borderRadius: '50px',
+  padding: '10px 20px', fontSize: '0.85rem', fontWeight: '500',
+  cursor: 'pointer', backdropFilter: 'blur(10px)'
+};
+
+const playStyle = { ...pillStyle, background: '#FFD700', color: 'black', fontWeight: 'bold', border: 'none' };
+
+const RecordsPanel = ({ solves, onClear, onClose }) => {
+  const { locale, t } = useLocale();
+  const bests = personalBests(solves);
+  return (
+    <div
+      style={{
+        position: 'absolute', bottom: '100%', marginBottom: '15px', width: '300px',
+        background: 'rgba(5,5,5,0.9)', border: '1px solid rgba(255,215,0,0.3)', borderRadius: '15px',
+        padding: '20px', backdropFilter: 'blur(10px)', color: '#ccc', fontSize: '0.85rem'
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px' }}>
+        <span style={{ color: '#FFD700', fontWeight: 'bold', letterSpacing: '0.1em', textTransform: 'uppercase' }}>{t('speedcube.bests')}</span>
+        <button onClick={onClose} style={{ background: 'none', border: 'none', color: '#888', cursor: 'pointer' }}>{t('speedcube.close')}</button>
+      </div>
+      {bests.length === 0 ? (
+        <p style={{ margin: 0, color: '#888' }}>{t('speedcube.noSolves')}</p>
+      ) : (
+        <ol style={{ margin: 0, paddingLeft: '20px', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+          {bests.map((solve) => (
+            <li key={solve.date}>
+              <span style={{ color: 'white', fontFamily: 'monospace' }}>{formatTime(solve.time)}</span>
+              <span style={{ color: '#888' }}> · {t('speedcube.moves', { count: solve.moves })} · {new Date(solve.date).toLocaleDateString(locale)}</span>
+            </li>
+          ))}
+        </ol>
+      )}
+      {solves.length > 0 && (
+        <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '15px', color: '#888' }}>
+          <span>{t('speedcube.recorded', { count: solves.length })}</span>
+          <button onClick={onClear} style={{ background: 'none', border: 'none', color: '#888', cursor: 'pointer', textDecoration: 'underline' }}>{t('speedcube.clear')}</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const SpeedcubeGame = ({ cubeRef, onActiveChange }) => {
+  const { t } = useLocale();
+  // idle -> preparing -> inspecting -> solving -> done
+  const [phase, setPhase] = useState('idle');
+  const [timing, setTiming] = useState({ inspectionEnds: 0, startedAt: 0, scramble: '' });
+  const [now, setNow] = useState(0);
+  const [moves, setMoves] = useState(0);
+  const [result, setResult] = useState(null);
+  const [solves, setSolves] = useState(loadSolves);
+  const [showRecords, setShowRecords] = useState(false);
+  const [cancelled, setCancelled] = useState(false);
+  const moveCount = useRef(0);
+  // The move listener below reads these without resubscribing on every clock tick.
+  const latest = useRef({ timing, solves });
+  useEffect(() => {
+    latest.current = { timing, solves };
+  });
+
+  const setActive = useCallback((active) => {
+    cubeRef.current?.setPaused(active);
+    if (onActiveChange) onActiveChange(active);
+  }, [cubeRef, onActiveChange]);
+
+  const startSolving = () => {
+    const startedAt = performance.now();
+    setTiming(t => ({ ...t, startedAt }));
+    setNow(startedAt);
+    setPhase('solving');
+  };
+
+  const quit = () => {
+    setPhase('idle');
+    setActive(false);
+  };
+
+  const play = async () => {
+    const cube = cubeRef.current;
+    if (!cube) return;
+    setShowRecords(false);
+    setResult(null);
+    setCancelled(false);
+    setPhase('preparing');
+    setActive(true);
+    // Drags during the snap-back or scramble would leave the cube off the scramble shown.
+    cube.setLocked(true);
+
+    // Every attempt starts from solved, so snap back first if needed.
+    const scramble = generateScramble();
+    try {
+      const pieces = await cube.getPieces();
+      if (!isSolved(pieces)) {
+        const solution = await solveInWorker(pieces);
+        await Promise.all(solution.map(move => cube.turn(move, 1, 0)));
+      }
+      await Promise.all(scramble.moves.map(move => cube.turn(move, 1, SCRAMBLE_TURN_DURATION)));
+    } catch {
+      setCancelled(true);
+      quit();
+      return;
+    } finally {
+      cube.setLocked(false);
+    }
+
+    moveCount.current = 0;
+    setMoves(0);
+    const inspectionEnds = performance.now() + INSPECTION_MS;
+    setTiming({ inspectionEnds, startedAt: 0, scramble: scramble.text });
+    setNow(performance.now());
+    setPhase('inspecting');
+  };
+
+  // Clock: counts inspection down, then the solve up.
+  useEffect(() => {
+    if (phase !== 'inspecting' && phase !== 'solving') return;
+    const id = setInterval(() => {
+      const t = performance.now();
+      setNow(t);
+      if (phase === 'inspecting' && t >= timing.inspectionEnds) startSolving();
+    }, 31);
+    return () => clearInterval(id);
+  }, [phase, timing.inspectionEnds]);
+
+  // Only the visitor's own drags count; the first one during inspection starts the clock.
+  useEffect(() => {
+    const cube = cubeRef.current;
+    if (!cube || (phase !== 'inspecting' && phase !== 'solving')) return;
+    return cube.subscribe(({ source, solved }) => {
+      if (source !== 'drag') return;
+      const { timing, solves } = latest.current;
+      if (phase === 'inspecting') startSolving();
+      moveCount.current += 1;
+      setMoves(moveCount.current);
+      if (!solved) return;
+
+      const time = performance.now() - (timing.startedAt || performance.now());
+      const solve = { time, moves: moveCount.current, scramble: timing.scramble, date: new Date().toISOString() };
+      const isBest = solves.every(s => time < s.time);
+      setSolves(saveSolve(solve));
+      setResult({ ...solve, isBest });
+      setPhase('done');
+      setActive(false);
+    });
+  }, [phase, cubeRef, setActive]);
+
+  const inspectionLeft = Math.ceil((timing.inspectionEnds - now) / 1000);
+
+  return (
+    <div style={{ position: 'relative', display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '10px', pointerEvents: 'auto' }}>
+      {showRecords && (
+        <RecordsPanel
+          solves={solves}
+          onClear={() => setSolves(clearSolves())}
+          onClose={() => setShowRecords(false)}
+        />
+      )}
+
+      <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+        {(phase === 'idle' || phase === 'done') && (
+          <>
+            <button onClick={play} style={playStyle}>{t('speedcube.play')}</button>
+            <button onClick={() => setShowRecords(v => !v)} style={pillStyle}>{t('speedcube.records')}</button>
+          </>
+        )}
+        {phase === 'preparing' && <span style={{ color: '#888', fontSize: '0.85rem' }}>{t('speedcube.scrambling')}</span>}
+        {phase === 'inspecting' && (
+          <span style={{ color: '#FFD700', fontFamily: 'monospace', fontSize: '1.2rem' }}>{t('speedcube.inspect', { seconds: Math.max(0, inspectionLeft) })}</span>
+        )}
+        {phase === 'solving' && (
+          <span style={{ color: 'white', fontFamily: 'monospace', fontSize: '1.2rem' }}>
+            {formatTime(now - timing.startedAt)} <span style={{ color: '#888', fontSize: '0.85rem' }}>· {t('speedcube.moves', { count: moves })}</span>
+          </span>
+        )}
+        {(phase === 'inspecting' || phase === 'solving') && (
+          <button onClick={quit} style={pillStyle}>{t('speedcube.quit')}</button>
+        )}
+      </div>
+
+      {phase === 'idle' && cancelled && (
+        <div role="alert" style={{ color: '#ff6b6b', fontSize: '0.85rem' }}>{t('speedcube.cancelled')}</div>
+      )}
+
+      {phase === 'done' && result && (
+        <div style={{ color: '#ccc', fontSize: '0.85rem' }}>
+          {t('speedcube.solvedIn', { time: <span style={{ color: '#FFD700', fontFamily: 'monospace' }}>{formatTime(result.time)}</span> })}
+          {' · '}{t('speedcube.moves', { count: result.moves })}
+          {result.isBest && <strong style={{ color: '#FFD700' }}> · {t('speedcube.newBest')}</strong>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SpeedcubeGame;
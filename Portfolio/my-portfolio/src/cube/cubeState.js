@@ -0,0 +1,103 @@
+// Plain-data model of the cube: the same `{ id, pos, rot }` records that
+// `CubeManager` keeps in `logicalPieces`, without any three.js objects, so it
+// can be shared with the solver worker.
+//
+// `pos` is the piece's current slot (-1/0/1 per axis) and `rot` its orientation
+// as a row-major 3x3 integer matrix.
+
+import { layersOf } from "./notation";
+
+const AXES = ['x', 'y', 'z'];
+
+export const IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+// How thick each layer is, from -1 to 1 per axis: a piece's size along an
+// axis is the thickness of its home layer there.
+export const THICKNESS = {
+  x: [0.6, 1.0, 1.4],
+  y: [1.4, 1.0, 0.6],
+  z: [0.6, 1.0, 1.4],
+};
+
+export const homeOf = (id) => id.split(':').map(Number);
+
+export const createSolvedPieces = () => {
+  const pieces = [];
+  for (let x = -1; x <= 1; x++) {
+    for (let y = -1; y <= 1; y++) {
+      for (let z = -1; z <= 1; z++) {
+        pieces.push({ id: `${x}:${y}:${z}`, pos: [x, y, z], rot: IDENTITY });
+      }
+    }
+  }
+  return pieces;
+};
+
+// Quarter turns about the positive axis, right-handed.
+export const rotationMatrix = (axis, quarters) => {
+  const q = ((quarters % 4) + 4) % 4;
+  const c = [1, 0, -1, 0][q];
+  const s = [0, 1, 0, -1][q];
+  if (axis === 'x') return [1, 0, 0, 0, c, -s, 0, s, c];
+  if (axis === 'y') return [c, 0, s, 0, 1, 0, -s, 0, c];
+  return [c, -s, 0, s, c, 0, 0, 0, 1];
+};
+
+export const multiplyMatrix = (a, b) => {
+  const out = new Array(9);
+  for (let r = 0; r < 3; r++) {
+    for (let c = 0; c < 3; c++) {
+      out[r * 3 + c] = a[r * 3] * b[c] + a[r * 3 + 1] * b[3 + c] + a[r * 3 + 2] * b[6 + c];
+    }
+  }
+  return out;
+};
+
+export const transposeMatrix = (m) => [m[0], m[3], m[6], m[1], m[4], m[7], m[2], m[5], m[8]];
+
+export const applyMatrix = (m, v) => [
+  m[0] * v[0] + m[1] * v[1] + m[2] * v[2],
+  m[3] * v[0] + m[4] * v[1] + m[5] * v[2],
+  m[6] * v[0] + m[7] * v[1] + m[8] * v[2],
+];
+
+const sameVector = (a, b) => a[0] === b[0] && a[1] === b[1] && a[2] === b[2];
+
+export const applyMove = (pieces, move) => {
+  const axisIdx = AXES.indexOf(move.axis);
+  const layers = layersOf(move);
+  const turn = rotationMatrix(move.axis, move.dir);
+  return pieces.map(p => (
+    layers.includes(p.pos[axisIdx])
+      ? { ...p, pos: applyMatrix(turn, p.pos), rot: multiplyMatrix(turn, p.rot) }
+      : p
+  ));
+};
+
+export const applyMoves = (pieces, moves) => moves.reduce(applyMove, pieces);
+
+/**
+ * The whole-cube rotation the centers currently sit in. Slice moves and cube
+ * rotations move the centers, so "solved" is judged relative to them.
+ */
+export const centerFrame = (pieces) => {
+  const a = pieces.find(p => p.id === '1:0:0').pos;
+  const b = pieces.find(p => p.id === '0:1:0').pos;
+  const c = [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+  return [a[0], b[0], c[0], a[1], b[1], c[1], a[2], b[2], c[2]];
+};
+
+// The piece's extent along each world axis once turned by `rot`.
+const extents = (home, rot) => applyMatrix(rot.map(Math.abs), AXES.map((axis, i) => THICKNESS[axis][home[i] + 1]));
+
+// A mirror cube is solved when it is back to a cube shape, in any orientation.
+// Its pieces differ only in shape, so a piece that looks the same turned (a
+// center about its axis, an edge whose two outer faces are equally thick, the
+// two corners that are cubes) is in place whichever way round it sits.
+export const isSolved = (pieces) => {
+  const frame = centerFrame(pieces);
+  return pieces.every(p => {
+    const home = homeOf(p.id);
+    return sameVector(p.pos, applyMatrix(frame, home)) && sameVector(extents(home, p.rot), extents(home, frame));
+  });
+};
@@ -0,0 +1,55 @@
+import * as THREE from "three";
+
+// How far (in px) the pointer has to travel before a drag counts as a turn.
+export const DRAG_THRESHOLD = 12;
+
+const AXES = ['x', 'y', 'z'];
+const AXIS_VECTORS = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1),
+};
+
+const toScreen = (point, camera, size) => {
+  const ndc = point.clone().project(camera);
+  return new THREE.Vector2((ndc.x + 1) / 2 * size.width, (1 - ndc.y) / 2 * size.height);
+};
+
+// Which cube axis the grabbed face points along, in the cube's own frame.
+export const getFaceAxis = (worldNormal, cubeGroup) => {
+  const inverse = cubeGroup.getWorldQuaternion(new THREE.Quaternion()).invert();
+  const local = worldNormal.clone().applyQuaternion(inverse);
+  const abs = [Math.abs(local.x), Math.abs(local.y), Math.abs(local.z)];
+  return AXES[abs.indexOf(Math.max(...abs))];
+};
+
+/**
+ * Turns a drag on a face into a `{ axis, layer, dir }` move.
+ *
+ * The two axes lying in the grabbed face are both candidates. For each one we
+ * project the direction the grabbed point would travel on screen if that layer
+ * turned positively, and pick the axis that best matches the drag.
+ */
+export const resolveDragTurn = ({ point, faceAxis, piecePos, drag, camera, size, cubeGroup }) => {
+  if (drag.length() < DRAG_THRESHOLD) return null;
+
+  const quat = cubeGroup.getWorldQuaternion(new THREE.Quaternion());
+  const center = cubeGroup.getWorldPosition(new THREE.Vector3());
+  const radius = point.clone().sub(center);
+  const origin = toScreen(point, camera, size);
+  const dragDir = drag.clone().normalize();
+
+  let best = null;
+  AXES.filter(axis => axis !== faceAxis).forEach(axis => {
+    const axisWorld = AXIS_VECTORS[axis].clone().applyQuaternion(quat);
+    const tangent = axisWorld.cross(radius).normalize().multiplyScalar(0.1);
+    const screenTangent = toScreen(point.clone().add(tangent), camera, size).sub(origin);
+    if (screenTangent.lengthSq() === 0) return;
+    const score = dragDir.dot(screenTangent.normalize());
+    if (!best || Math.abs(score) > Math.abs(best.score)) best = { axis, score };
+  });
+
+  if (!best) return null;
+  const layer = Math.round(piecePos[AXES.indexOf(best.axis)]);
+  return { axis: best.axis, layer, dir: best.score > 0 ? 1 : -1 };
+};
@@ -0,0 +1,167 @@
+// Standard cube notation <-> `{ axis, layer, dir }` move objects.
+//
+// `dir` is the quarter-turn count about the positive axis (right-handed), so a
+// clockwise R is -1 and R2 is -2. `layer` is one of -1/0/1, or an array of
+// layers for wide moves (r, Rw) and whole-cube rotations (x, y, z).
+
+const ALL = [-1, 0, 1];
+
+const TOKENS = {
+  R: { axis: 'x', layer: 1, dir: -1 },
+  L: { axis: 'x', layer: -1, dir: 1 },
+  M: { axis: 'x', layer: 0, dir: 1 },
+  r: { axis: 'x', layer: [0, 1], dir: -1 },
+  l: { axis: 'x', layer: [-1, 0], dir: 1 },
+  x: { axis: 'x', layer: ALL, dir: -1 },
+  U: { axis: 'y', layer: 1, dir: -1 },
+  D: { axis: 'y', layer: -1, dir: 1 },
+  E: { axis: 'y', layer: 0, dir: 1 },
+  u: { axis: 'y', layer: [0, 1], dir: -1 },
+  d: { axis: 'y', layer: [-1, 0], dir: 1 },
+  y: { axis: 'y', layer: ALL, dir: -1 },
+  F: { axis: 'z', layer: 1, dir: -1 },
+  B: { axis: 'z', layer: -1, dir: 1 },
+  S: { axis: 'z', layer: 0, dir: -1 },
+  f: { axis: 'z', layer: [0, 1], dir: -1 },
+  b: { axis: 'z', layer: [-1, 0], dir: 1 },
+  z: { axis: 'z', layer: ALL, dir: -1 },
+};
+
+export const FACE_MOVES = ['R', 'L', 'U', 'D', 'F', 'B'];
+
+const MOVE_PATTERN = /^([RLUDFBMESrludfbxyz])(w?)(2?)('?)$/;
+
+export class NotationError extends Error {
+  constructor(token) {
+    super(`Unknown cube move "${token}"`);
+    this.name = 'NotationError';
+    this.token = token;
+  }
+}
+
+export const layersOf = (move) => [].concat(move.layer).sort((a, b) => a - b);
+
+const layerKey = (move) => `${move.axis}:${layersOf(move).join(',')}`;
+
+export const parseMove = (token) => {
+  const match = MOVE_PATTERN.exec(token);
+  if (!match) throw new NotationError(token);
+  const [, letter, wide, double, prime] = match;
+  const key = wide ? letter.toLowerCase() : letter;
+  if (wide && !'RLUDFB'.includes(letter)) throw new NotationError(token);
+
+  const base = TOKENS[key];
+  const amount = (double ? 2 : 1) * (prime ? -1 : 1);
+  return { axis: base.axis, layer: base.layer, dir: base.dir * amount };
+};
+
+export const parseMoves = (text) => {
+  if (!text) return [];
+  return text.trim().split(/[\s,]+/).filter(Boolean).map(parseMove);
+};
+
+export const formatMove = (move) => {
+  const key = layerKey(move);
+  const letter = Object.keys(TOKENS).find(k => layerKey(TOKENS[k]) === key);
+  if (!letter) throw new NotationError(JSON.stringify(move));
+
+  const quarter = ((move.dir % 4) + 4) % 4;
+  if (quarter === 0) return '';
+  if (quarter === 2) return `${letter}2`;
+  const clockwise = TOKENS[letter].dir === (quarter === 1 ? 1 : -1);
+  return clockwise ? letter : `${letter}'`;
+};
+
+export const formatMoves = (moves) => moves.map(formatMove).filter(Boolean).join(' ');
+
+export const invertMoves = (moves) => [...moves].reverse().map(m => ({ ...m, dir: -m.dir }));
+
+// Merges back-to-back turns of the same layer(s) and drops the ones that cancel out.
+export const simplifyMoves = (moves) => {
+  const out = [];
+  moves.forEach(move => {
+    const last = out[out.length - 1];
+    if (last && layerKey(last) === layerKey(move)) {
+      const quarter = (((last.dir + move.dir) % 4) + 4) % 4;
+      out.pop();
+      if (quarter !== 0) out.push({ ...last, dir: quarter === 3 ? -1 : quarter === 2 ? -2 : 1 });
+    } else {
+      out.push({ ...move });
+    }
+  });
+  return out;
+};
+
+// --- SEEDED SCRAMBLES ---
+
+const hashSeed = (seed) => {
+  const str = String(seed);
+  let h = 1779033703 ^ str.length;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  return h >>> 0;
+};
+
+// mulberry32
+export const createRandom = (seed) => {
+  let a = hashSeed(seed);
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export const randomSeed = () => Math.random().toString(36).slice(2, 10);
+
+/**
+ * Face-turn scramble in the usual WCA style: never the same face twice in a
+ * row, and never three turns on one axis (R L R).
+ */
+export const generateScramble = (seed = randomSeed(), length = 20) => {
+  const random = createRandom(seed);
+  const tokens = [];
+  while (tokens.length < length) {
+    const face = FACE_MOVES[Math.floor(random() * FACE_MOVES.length)];
+    const axis = TOKENS[face].axis;
+    const prev = tokens[tokens.length - 1];
+    const prevPrev = tokens[tokens.length - 2];
+    if (prev && prev[0] === face) continue;
+    if (prev && prevPrev && TOKENS[prev[0]].axis === axis && TOKENS[prevPrev[0]].axis === axis) continue;
+    tokens.push(face + ['', "'", '2'][Math.floor(random() * 3)]);
+  }
+  return { seed, text: tokens.join(' '), moves: tokens.map(parseMove) };
+};
+
+// --- SHAREABLE URLS ---
+
+/**
+ * The cube a shared link asks for: `{ seed, moves }`, `{ invalidMove }` (the
+ * token it couldn't read) when its `?scramble` is broken, or null when it
+ * names none.
+ */
+export const readCubeParams = (search = typeof window !== 'undefined' ? window.location.search : '') => {
+  const params = new URLSearchParams(search);
+  const scramble = params.get('scramble');
+  const seed = params.get('seed');
+  try {
+    if (scramble) return { seed, moves: parseMoves(scramble) };
+    if (seed) return { seed, moves: generateScramble(seed).moves };
+  } catch (err) {
+    if (!(err instanceof NotationError)) throw err;
+    return { invalidMove: err.token };
+  }
+  return null;
+};
+
+export const buildCubeUrl = (moves) => {
+  const url = new URL(window.location.href);
+  url.searchParams.delete('seed');
+  url.searchParams.delete('scramble');
+  const text = formatMoves(simplifyMoves(moves));
+  if (text) url.searchParams.set('scramble', text);
+  return url.toString();
+};
@@ -0,0 +1,339 @@
+// Two-phase (Kociemba) solver for the mirror cube.
+//
+// Phase 1 brings the cube into the subgroup <U, D, R2, L2, F2, B2> (every
+// corner and edge oriented, the middle-slice edges in the middle slice);
+// phase 2 solves it using only those moves. The cubie-level move definitions
+// are derived from `cubeState`, so the solver always agrees with the way the
+// scene turns its pieces.
+//
+// Tables take a moment to build the first time, which is why this runs in
+// `solver.worker.js`.
+
+import {
+  applyMatrix, applyMove, centerFrame, createSolvedPieces, homeOf, multiplyMatrix, transposeMatrix,
+} from "./cubeState";
+import { parseMove } from "./notation";
+
+const FACE_NORMALS = {
+  U: [0, 1, 0], D: [0, -1, 0], R: [1, 0, 0], L: [-1, 0, 0], F: [0, 0, 1], B: [0, 0, -1],
+};
+
+const CORNER_SLOTS = ['URF', 'UFL', 'ULB', 'UBR', 'DFR', 'DLF', 'DBL', 'DRB'];
+const EDGE_SLOTS = ['UR', 'UF', 'UL', 'UB', 'DR', 'DF', 'DL', 'DB', 'FR', 'FL', 'BL', 'BR'];
+
+const slotPosition = (name) => [...name].reduce((pos, face) => pos.map((v, i) => v + FACE_NORMALS[face][i]), [0, 0, 0]);
+const key = (v) => v.join(':');
+const sameVector = (a, b) => a[0] === b[0] && a[1] === b[1] && a[2] === b[2];
+
+const CORNER_INDEX = new Map(CORNER_SLOTS.map((name, i) => [key(slotPosition(name)), i]));
+const EDGE_INDEX = new Map(EDGE_SLOTS.map((name, i) => [key(slotPosition(name)), i]));
+
+// --- PIECES -> CUBIES ---
+
+// Orientation is the index of the slot facelet now showing the cubie's
+// reference (first) facelet.
+const orientationOf = (piece, homeSlot, currentSlot) => {
+  const reference = applyMatrix(piece.rot, FACE_NORMALS[homeSlot[0]]);
+  return [...currentSlot].findIndex(face => sameVector(FACE_NORMALS[face], reference));
+};
+
+/**
+ * Reads corner/edge permutation and orientation from `{ id, pos, rot }`
+ * pieces that are already expressed relative to their centers.
+ */
+export const toCubies = (pieces) => {
+  const cubies = { cp: [], co: [], ep: [], eo: [] };
+  pieces.forEach(piece => {
+    const home = key(homeOf(piece.id));
+    const slot = key(piece.pos);
+    if (CORNER_INDEX.has(home)) {
+      const i = CORNER_INDEX.get(slot);
+      const cubie = CORNER_INDEX.get(home);
+      cubies.cp[i] = cubie;
+      cubies.co[i] = orientationOf(piece, CORNER_SLOTS[cubie], CORNER_SLOTS[i]);
+    } else if (EDGE_INDEX.has(home)) {
+      const i = EDGE_INDEX.get(slot);
+      const cubie = EDGE_INDEX.get(home);
+      cubies.ep[i] = cubie;
+      cubies.eo[i] = orientationOf(piece, EDGE_SLOTS[cubie], EDGE_SLOTS[i]);
+    }
+  });
+  return cubies;
+};
+
+const multiply = (a, b) => ({
+  cp: b.cp.map(p => a.cp[p]),
+  co: b.cp.map((p, i) => (a.co[p] + b.co[i]) % 3),
+  ep: b.ep.map(p => a.ep[p]),
+  eo: b.ep.map((p, i) => (a.eo[p] + b.eo[i]) % 2),
+});
+
+// --- MOVES ---
+
+const FACES = ['U', 'R', 'F', 'D', 'L', 'B'];
+const POWERS = ['', '2', "'"];
+const MOVE_NAMES = FACES.flatMap(face => POWERS.map(power => face + power));
+const N_MOVES = MOVE_NAMES.length;
+// U, U2, U', D, D2, D', R2, L2, F2, B2
+const PHASE2_MOVES = [0, 1, 2, 9, 10, 11, 4, 13, 7, 16];
+
+const MOVE_CUBIES = MOVE_NAMES.map(name => toCubies(applyMove(createSolvedPieces(), parseMove(name))));
+
+// --- COORDINATES ---
+
+const factorial = (n) => (n <= 1 ? 1 : n * factorial(n - 1));
+const choose = (n, k) => (k < 0 || k > n ? 0 : factorial(n) / (factorial(k) * factorial(n - k)));
+
+const getOrientation = (values, base) => values.slice(0, -1).reduce((acc, v) => acc * base + v, 0);
+const setOrientation = (coord, length, base) => {
+  const values = new Array(length).fill(0);
+  let parity = 0;
+  for (let i = length - 2; i >= 0; i--) {
+    values[i] = coord % base;
+    parity += values[i];
+    coord = Math.floor(coord / base);
+  }
+  values[length - 1] = (base - (parity % base)) % base;
+  return values;
+};
+
+const getPermutation = (perm) => {
+  let coord = 0;
+  for (let i = 0; i < perm.length; i++) {
+    let smaller = 0;
+    for (let j = i + 1; j < perm.length; j++) if (perm[j] < perm[i]) smaller++;
+    coord = coord * (perm.length - i) + smaller;
+  }
+  return coord;
+};
+const setPermutation = (coord, length) => {
+  const digits = new Array(length).fill(0);
+  for (let i = length - 1; i >= 0; i--) {
+    digits[i] = coord % (length - i);
+    coord = Math.floor(coord / (length - i));
+  }
+  const pool = [...Array(length).keys()];
+  return digits.map(d => pool.splice(d, 1)[0]);
+};
+
+// Which four of the twelve edge slots hold the middle-slice edges (8..11),
+// ranked so that the solved layout is 0.
+const isSliceEdge = (e) => e >= 8;
+const getSlice = (ep) => {
+  let coord = 0;
+  let found = 0;
+  for (let i = 11; i >= 0; i--) {
+    if (isSliceEdge(ep[i])) coord += choose(11 - i, ++found);
+  }
+  return coord;
+};
+const SLICE_PATTERNS = new Array(choose(12, 4));
+(() => {
+  for (let mask = 0; mask < 1 << 12; mask++) {
+    const slots = [...Array(12).keys()].filter(i => mask & (1 << i));
+    if (slots.length !== 4) continue;
+    let nextSlice = 8;
+    let nextOther = 0;
+    const ep = [...Array(12).keys()].map(i => (slots.includes(i) ? nextSlice++ : nextOther++));
+    SLICE_PATTERNS[getSlice(ep)] = ep;
+  }
+})();
+
+const SOLVED = { cp: [...Array(8).keys()], co: new Array(8).fill(0), ep: [...Array(12).keys()], eo: new Array(12).fill(0) };
+
+const COORDS = {
+  twist: {
+    size: 2187,
+    get: (c) => getOrientation(c.co, 3),
+    set: (coord) => ({ ...SOLVED, co: setOrientation(coord, 8, 3) }),
+  },
+  flip: {
+    size: 2048,
+    get: (c) => getOrientation(c.eo, 2),
+    set: (coord) => ({ ...SOLVED, eo: setOrientation(coord, 12, 2) }),
+  },
+  slice: {
+    size: 495,
+    get: (c) => getSlice(c.ep),
+    set: (coord) => ({ ...SOLVED, ep: SLICE_PATTERNS[coord] }),
+  },
+  cornerPerm: {
+    size: 40320,
+    get: (c) => getPermutation(c.cp),
+    set: (coord) => ({ ...SOLVED, cp: setPermutation(coord, 8) }),
+  },
+  edgePerm: {
+    size: 40320,
+    get: (c) => getPermutation(c.ep.slice(0, 8)),
+    set: (coord) => ({ ...SOLVED, ep: [...setPermutation(coord, 8), 8, 9, 10, 11] }),
+  },
+  slicePerm: {
+    size: 24,
+    get: (c) => getPermutation(c.ep.slice(8).map(e => e - 8)),
+    set: (coord) => ({ ...SOLVED, ep: [0, 1, 2, 3, 4, 5, 6, 7, ...setPermutation(coord, 4).map(e => e + 8)] }),
+  },
+};
+
+// --- TABLES ---
+
+const buildMoveTable = ({ size, get, set }, moves) => {
+  const table = new Int32Array(size * N_MOVES).fill(-1);
+  for (let coord = 0; coord < size; coord++) {
+    const cubies = set(coord);
+    moves.forEach(m => { table[coord * N_MOVES + m] = get(multiply(cubies, MOVE_CUBIES[m])); });
+  }
+  return table;
+};
+
+// Breadth-first distance to solved over a pair of coordinates.
+const buildPruneTable = (tableA, sizeA, tableB, sizeB, moves) => {
+  const prune = new Int8Array(sizeA * sizeB).fill(-1);
+  const queue = new Int32Array(sizeA * sizeB);
+  let head = 0;
+  let tail = 0;
+  prune[0] = 0;
+  queue[tail++] = 0;
+  while (head < tail) {
+    const index = queue[head++];
+    const a = Math.floor(index / sizeB);
+    const b = index % sizeB;
+    for (const m of moves) {
+      const next = tableA[a * N_MOVES + m] * sizeB + tableB[b * N_MOVES + m];
+      if (prune[next] === -1) {
+        prune[next] = prune[index] + 1;
+        queue[tail++] = next;
+      }
+    }
+  }
+  return prune;
+};
+
+let tables = null;
+
+export const initTables = () => {
+  if (tables) return tables;
+  const all = [...Array(N_MOVES).keys()];
+  const move = {
+    twist: buildMoveTable(COORDS.twist, all),
+    flip: buildMoveTable(COORDS.flip, all),
+    slice: buildMoveTable(COORDS.slice, all),
+    cornerPerm: buildMoveTable(COORDS.cornerPerm, PHASE2_MOVES),
+    edgePerm: buildMoveTable(COORDS.edgePerm, PHASE2_MOVES),
+    slicePerm: buildMoveTable(COORDS.slicePerm, PHASE2_MOVES),
+  };
+  tables = {
+    move,
+    sliceTwist: buildPruneTable(move.slice, 495, move.twist, 2187, all),
+    sliceFlip: buildPruneTable(move.slice, 495, move.flip, 2048, all),
+    sliceCorner: buildPruneTable(move.slicePerm, 24, move.cornerPerm, 40320, PHASE2_MOVES),
+    sliceEdge: buildPruneTable(move.slicePerm, 24, move.edgePerm, 40320, PHASE2_MOVES),
+  };
+  return tables;
+};
+
+// --- SEARCH ---
+
+const faceOf = (m) => Math.floor(m / 3);
+// Skip turning the same face twice, and fix the order of opposite faces (U D, never D U).
+const redundant = (m, last) => last >= 0 && (faceOf(m) === faceOf(last) || faceOf(m) === faceOf(last) - 3);
+
+class SearchTimeout extends Error {}
+
+const searchPhase2 = (t, corner, edge, slice, depth, last, path) => {
+  if (corner === 0 && edge === 0 && slice === 0) return true;
+  if (depth === 0) return false;
+  for (const m of PHASE2_MOVES) {
+    if (redundant(m, last)) continue;
+    const nc = t.move.cornerPerm[corner * N_MOVES + m];
+    const ne = t.move.edgePerm[edge * N_MOVES + m];
+    const ns = t.move.slicePerm[slice * N_MOVES + m];
+    if (Math.max(t.sliceCorner[ns * 40320 + nc], t.sliceEdge[ns * 40320 + ne]) >= depth) continue;
+    path.push(m);
+    if (searchPhase2(t, nc, ne, ns, depth - 1, m, path)) return true;
+    path.pop();
+  }
+  return false;
+};
+
+/**
+ * Solves a cubie state. Returns the first solution within `maxLength`, then
+ * keeps looking for shorter ones until `timeLimit` ms have passed.
+ */
+export const solveCubies = (cubies, { maxLength = 30, timeLimit = 250 } = {}) => {
+  const t = initTables();
+  const deadline = Date.now() + timeLimit;
+  let best = null;
+  const path = [];
+
+  const phase1 = (twist, flip, slice, depth, last) => {
+    if (depth === 0) {
+      if (twist !== 0 || flip !== 0 || slice !== 0) return;
+      // The last phase-1 move being a phase-2 move means this split was already tried.
+      if (path.length && PHASE2_MOVES.includes(last)) return;
+      const state = path.reduce((c, m) => multiply(c, MOVE_CUBIES[m]), cubies);
+      const limit = Math.min(best ? best.length - 1 : maxLength, maxLength) - path.length;
+      const corner = COORDS.cornerPerm.get(state);
+      const edge = COORDS.edgePerm.get(state);
+      const slicePerm = COORDS.slicePerm.get(state);
+      for (let d = 0; d <= limit; d++) {
+        const tail = [];
+        if (searchPhase2(t, corner, edge, slicePerm, d, path.length ? last : -1, tail)) {
+          best = [...path, ...tail];
+          break;
+        }
+      }
+      if (best && Date.now() > deadline) throw new SearchTimeout();
+      return;
+    }
+    for (let m = 0; m < N_MOVES; m++) {
+      if (redundant(m, last)) continue;
+      const nt = t.move.twist[twist * N_MOVES + m];
+      const nf = t.move.flip[flip * N_MOVES + m];
+      const ns = t.move.slice[slice * N_MOVES + m];
+      if (Math.max(t.sliceTwist[ns * 2187 + nt], t.sliceFlip[ns * 2048 + nf]) >= depth) continue;
+      path.push(m);
+      phase1(nt, nf, ns, depth - 1, m);
+      path.pop();
+    }
+  };
+
+  const twist = COORDS.twist.get(cubies);
+  const flip = COORDS.flip.get(cubies);
+  const slice = COORDS.slice.get(cubies);
+  try {
+    for (let depth = 0; depth <= 12; depth++) {
+      if (best && depth >= best.length) break;
+      phase1(twist, flip, slice, depth, -1);
+    }
+  } catch (err) {
+    if (!(err instanceof SearchTimeout)) throw err;
+  }
+  if (!best) throw new Error('No solution found');
+  return best.map(m => MOVE_NAMES[m]);
+};
+
+// --- FACE MOVES IN THE SCENE'S FRAME ---
+
+const AXES = ['x', 'y', 'z'];
+
+// A face turn expressed relative to the centers, mapped back onto world axes.
+const toWorldMove = (frame, name) => {
+  const move = parseMove(name);
+  const normal = [0, 0, 0];
+  normal[AXES.indexOf(move.axis)] = move.layer;
+  const world = applyMatrix(frame, normal);
+  const axisIdx = world.findIndex(v => v !== 0);
+  const sign = world[axisIdx];
+  return { axis: AXES[axisIdx], layer: sign, dir: move.dir * move.layer * sign };
+};
+
+/**
+ * Solves `{ id, pos, rot }` pieces and returns `{ axis, layer, dir }` moves
+ * that bring them back to a cube shape around wherever the centers are.
+ */
+export const solvePieces = (pieces, options) => {
+  const frame = centerFrame(pieces);
+  const inverse = transposeMatrix(frame);
+  const relative = pieces.map(p => ({ ...p, pos: applyMatrix(inverse, p.pos), rot: multiplyMatrix(inverse, p.rot) }));
+  return solveCubies(toCubies(relative), options).map(name => toWorldMove(frame, name));
+};
@@ -0,0 +1,13 @@
+import { initTables, solvePieces } from "./solver";
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'warmup') {
+    initTables();
+    return;
+  }
+  try {
+    self.postMessage({ id: data.id, moves: solvePieces(data.pieces) });
+  } catch (err) {
+    self.postMessage({ id: data.id, error: err.message });
+  }
+};
@@ -0,0 +1,32 @@
+// Main-thread side of the solver worker. The worker (and its lookup tables)
+// is created on first use and kept for the rest of the visit.
+
+let worker = null;
+let nextId = 0;
+const pending = new Map();
+
+const getWorker = () => {
+  if (worker) return worker;
+  worker = new Worker(new URL('./solver.worker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = ({ data }) => {
+    const request = pending.get(data.id);
+    if (!request) return;
+    pending.delete(data.id);
+    if (data.error) request.reject(new Error(data.error));
+    else request.resolve(data.moves);
+  };
+  worker.onerror = (event) => {
+    pending.forEach(request => request.reject(new Error(event.message || 'Solver worker failed')));
+    pending.clear();
+  };
+  return worker;
+};
+
+// Builds the tables ahead of time so the first "Solve" answers quickly.
+export const warmUpSolver = () => getWorker().postMessage({ type: 'warmup' });
+
+export const solveInWorker = (pieces) => new Promise((resolve, reject) => {
+  const id = nextId++;
+  pending.set(id, { resolve, reject });
+  getWorker().postMessage({ id, pieces });
+});
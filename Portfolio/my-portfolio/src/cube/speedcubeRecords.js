@@ -0,0 +1,41 @@
+// Speedcubing results, kept in localStorage. Nothing leaves the browser.
+
+const STORAGE_KEY = 'mirror-cube-solves';
+const MAX_HISTORY = 50;
+
+export const loadSolves = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveSolve = (solve) => {
+  const solves = [solve, ...loadSolves()].slice(0, MAX_HISTORY);
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(solves));
+  } catch {
+    // Private mode or a full quota: the run still counts for this visit.
+  }
+  return solves;
+};
+
+export const clearSolves = () => {
+  try {
+    window.localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // Nothing stored, nothing to clear.
+  }
+  return [];
+};
+
+export const personalBests = (solves, count = 5) => [...solves].sort((a, b) => a.time - b.time).slice(0, count);
+
+export const formatTime = (ms) => {
+  const totalSeconds = Math.max(0, ms) / 1000;
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = (totalSeconds % 60).toFixed(2).padStart(5, '0');
+  return minutes ? `${minutes}:${seconds}` : seconds;
+};
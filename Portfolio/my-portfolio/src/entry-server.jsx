@@ -0,0 +1,26 @@
+import React from "react";
+import { prerenderToNodeStream } from "react-dom/static";
+import { StaticRouter } from "react-router";
+import AppRoutes from "./AppRoutes.jsx";
+
+const readStream = async (stream) => {
+  let html = '';
+  stream.setEncoding('utf8');
+  for await (const chunk of stream) html += chunk;
+  return html;
+};
+
+/**
+ * Renders the page at `url` to HTML for plugins/prerender, waiting for the
+ * lazily loaded pages to arrive first.
+ */
+export const render = async (url) => {
+  const { prelude } = await prerenderToNodeStream(
+    <React.StrictMode>
+      <StaticRouter location={url}>
+        <AppRoutes />
+      </StaticRouter>
+    </React.StrictMode>
+  );
+  return readStream(prelude);
+};
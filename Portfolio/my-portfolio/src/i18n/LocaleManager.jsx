@@ -0,0 +1,70 @@
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useState } from "react";
+import { useLocation } from "react-router";
+import { DEFAULT_LOCALE, LOCALES, LOCALE_PARAM, LocaleContext, initialLocale, saveLocale, translate, useLocale } from "./locale";
+import { useHydrated } from "../routing/hydration";
+
+// The locale goes in the query string (`?lang=es`) so a link opens in the
+// language it was shared in. Like the cube controls, it rewrites the URL
+// without the router: a router navigation would reset the scroll position.
+const syncUrl = (locale) => {
+  const url = new URL(window.location.href);
+  if (locale === DEFAULT_LOCALE) url.searchParams.delete(LOCALE_PARAM);
+  else url.searchParams.set(LOCALE_PARAM, locale);
+  if (url.href !== window.location.href) window.history.replaceState(window.history.state, '', url);
+};
+
+// Pages are prerendered in the default locale; the visitor's own switches in
+// once the page has hydrated.
+export const LocaleProvider = ({ children }) => {
+  const hydrated = useHydrated();
+  const [chosenLocale, setLocaleState] = useState(initialLocale);
+  const locale = hydrated ? chosenLocale : DEFAULT_LOCALE;
+  const { key } = useLocation();
+  const { dir } = LOCALES[locale];
+
+  useLayoutEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = dir;
+  }, [locale, dir]);
+
+  // Links between pages drop the query string; put the locale back after each one.
+  useEffect(() => {
+    if (hydrated) syncUrl(locale);
+  }, [hydrated, locale, key]);
+
+  const setLocale = useCallback((next) => {
+    saveLocale(next);
+    setLocaleState(next);
+  }, []);
+
+  const value = useMemo(() => ({
+    locale,
+    dir,
+    t: (messageKey, params) => translate(locale, messageKey, params),
+    setLocale,
+  }), [locale, dir, setLocale]);
+
+  return <LocaleContext.Provider value={value}>{children}</LocaleContext.Provider>;
+};
+
+export const LocaleSwitcher = ({ style }) => {
+  const { locale, setLocale, t } = useLocale();
+
+  return (
+    <select
+      value={locale}
+      onChange={(e) => setLocale(e.target.value)}
+      aria-label={t('locale.label')}
+      style={{
+        background: '#111', color: '#ccc',
+        border: '1px solid rgba(255,255,255,0.15)', borderRadius: '50px',
+        padding: '10px 14px', fontSize: '0.8rem', fontWeight: '500', fontFamily: 'inherit',
+        cursor: 'pointer', ...style
+      }}
+    >
+      {Object.entries(LOCALES).map(([code, { name }]) => (
+        <option key={code} value={code} lang={code}>{name}</option>
+      ))}
+    </select>
+  );
+};
@@ -0,0 +1,88 @@
+import { cloneElement, createContext, isValidElement, useContext } from "react";
+import en from "./messages/en.json";
+import es from "./messages/es.json";
+import ar from "./messages/ar.json";
+import ja from "./messages/ja.json";
+
+// The interface's own strings, per locale. Content (bio, projects, timeline
+// entries) stays in the language it is written in.
+//
+// A message is a string with `{name}` placeholders, or an object of
+// Intl.PluralRules categories (`one`, `other`, …) picked by `{count}`. Missing
+// keys fall back to English.
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALES = {
+  en: { name: 'English', dir: 'ltr', messages: en },
+  es: { name: 'Español', dir: 'ltr', messages: es },
+  ar: { name: 'العربية', dir: 'rtl', messages: ar },
+  ja: { name: '日本語', dir: 'ltr', messages: ja },
+};
+
+const STORAGE_KEY = 'locale';
+export const LOCALE_PARAM = 'lang';
+
+// "es-MX" -> "es", or null when we don't have it.
+export const matchLocale = (tag) => {
+  if (!tag) return null;
+  const base = String(tag).toLowerCase().split('-')[0];
+  return base in LOCALES ? base : null;
+};
+
+const readSavedLocale = () => {
+  try {
+    return matchLocale(window.localStorage.getItem(STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+export const saveLocale = (locale) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, locale);
+  } catch {
+    // Storage unavailable: the URL still carries the choice.
+  }
+};
+
+export const urlLocale = () => matchLocale(new URLSearchParams(window.location.search).get(LOCALE_PARAM));
+
+// A shared link's `?lang=` wins, then the visitor's last pick, then the browser's languages.
+export const initialLocale = () => {
+  if (typeof window === 'undefined') return DEFAULT_LOCALE;
+  return urlLocale()
+    ?? readSavedLocale()
+    ?? (navigator.languages || [navigator.language]).map(matchLocale).find(Boolean)
+    ?? DEFAULT_LOCALE;
+};
+
+const pluralRules = {};
+
+const pick = (message, locale, count) => {
+  if (typeof message === 'string' || message === undefined) return message;
+  pluralRules[locale] ??= new Intl.PluralRules(locale);
+  return message[pluralRules[locale].select(count)] ?? message.other;
+};
+
+/**
+ * Looks `key` up for `locale` and fills in `params`. Returns a string, or an
+ * array of parts when a param is a React element (`{ tech: <span>…</span> }`).
+ */
+export const translate = (locale, key, params = {}) => {
+  const message = pick(LOCALES[locale]?.messages[key], locale, params.count)
+    ?? pick(LOCALES[DEFAULT_LOCALE].messages[key], DEFAULT_LOCALE, params.count)
+    ?? key;
+  const parts = message.split(/\{(\w+)\}/).map((part, i) => (i % 2 ? params[part] ?? `{${part}}` : part));
+  if (parts.every(part => typeof part !== 'object')) return parts.join('');
+  return parts.filter(part => part !== '').map((part, i) => (isValidElement(part) ? cloneElement(part, { key: i }) : part));
+};
+
+export const LocaleContext = createContext({
+  locale: DEFAULT_LOCALE,
+  dir: 'ltr',
+  t: (key, params) => translate(DEFAULT_LOCALE, key, params),
+  setLocale: () => {},
+});
+
+export const useLocale = () => useContext(LocaleContext);
@@ -0,0 +1,40 @@
+// Splits text for word-by-word and letter-by-letter animation without breaking
+// scripts that don't work like English: Japanese and Chinese have no spaces
+// between words, and Arabic letters change shape when split apart.
+
+const segmenter = (locale, granularity) => (
+  typeof Intl !== 'undefined' && Intl.Segmenter ? new Intl.Segmenter(locale, { granularity }) : null
+);
+
+/**
+ * Words to animate, each `{ text, space }` where `space` says whether a space
+ * followed it in the source. Punctuation stays on the word before it, so a
+ * line never starts with "." or "。".
+ */
+export const splitWords = (text, locale) => {
+  const words = segmenter(locale, 'word');
+  if (!words) return text.split(' ').filter(Boolean).map(word => ({ text: word, space: true }));
+
+  const result = [];
+  for (const { segment, isWordLike } of words.segment(text)) {
+    const last = result[result.length - 1];
+    if (/^\s+$/.test(segment)) {
+      if (last) last.space = true;
+    } else if (!isWordLike && last && !last.space) {
+      last.text += segment;
+    } else {
+      result.push({ text: segment, space: false });
+    }
+  }
+  return result;
+};
+
+// Scripts whose letters are drawn the same whether or not their neighbours are.
+const SEPARABLE = /^[\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}\p{Script=Hebrew}\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\P{L}]*$/u;
+
+/** The word's letters (grapheme clusters), or the whole word when splitting it would change how it looks. */
+export const splitLetters = (word, locale) => {
+  if (!SEPARABLE.test(word)) return [word];
+  const graphemes = segmenter(locale, 'grapheme');
+  return graphemes ? Array.from(graphemes.segment(word), ({ segment }) => segment) : Array.from(word);
+};
@@ -1,10 +1,23 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
-import App from './App.jsx'
+import { BrowserRouter } from 'react-router'
+import AppRoutes from './AppRoutes.jsx'
 import './index.css'
 
-ReactDOM.createRoot(document.getElementById('root')).render(
+const container = document.getElementById('root')
+const app = (
   <React.StrictMode>
-    <App />
-  </React.StrictMode>,
-)
\ No newline at end of file
+    <BrowserRouter>
+      <AppRoutes />
+    </BrowserRouter>
+  </React.StrictMode>
+)
+
+// Built pages arrive prerendered (plugins/prerender); pick up that markup
+// rather than rendering over it. `npm run dev` and unknown paths start empty.
+const trimSlash = (pathname) => pathname.replace(/(.)\/$/, '$1')
+if (trimSlash(container.dataset.prerendered ?? '') === trimSlash(window.location.pathname)) {
+  ReactDOM.hydrateRoot(container, app)
+} else {
+  ReactDOM.createRoot(container).render(app)
+}
@@ -0,0 +1,64 @@
+import React, { useCallback, useLayoutEffect, useMemo, useState, useSyncExternalStore } from "react";
+import { MotionConfig, MotionGlobalConfig } from "framer-motion";
+import {
+  MotionPreferenceContext, readMotionOverride, reducedMotionQuery, saveMotionOverride, useMotionPreference,
+} from "./motionPreference";
+import { useLocale } from "../i18n/locale";
+import { useHydrated } from "../routing/hydration";
+
+const subscribeToQuery = (update) => {
+  const query = reducedMotionQuery();
+  if (!query) return () => {};
+  query.addEventListener('change', update);
+  return () => query.removeEventListener('change', update);
+};
+
+const readSystemReduced = () => Boolean(reducedMotionQuery()?.matches);
+
+export const MotionPreferenceProvider = ({ children }) => {
+  const hydrated = useHydrated();
+  const systemReduced = useSyncExternalStore(subscribeToQuery, readSystemReduced, () => false);
+  const [override, setOverride] = useState(readMotionOverride);
+  const reducedMotion = (hydrated ? override : null) ?? systemReduced;
+
+  // Entrances, staggers and springs all land on their final frame at once.
+  useLayoutEffect(() => {
+    MotionGlobalConfig.skipAnimations = reducedMotion;
+  }, [reducedMotion]);
+
+  // Picking what the OS already asks for drops the override, so later OS changes apply again.
+  const setReducedMotion = useCallback((value) => {
+    const next = value === systemReduced ? null : value;
+    saveMotionOverride(next);
+    setOverride(next);
+  }, [systemReduced]);
+
+  const value = useMemo(() => ({ reducedMotion, setReducedMotion }), [reducedMotion, setReducedMotion]);
+
+  return (
+    <MotionPreferenceContext.Provider value={value}>
+      <MotionConfig reducedMotion={reducedMotion ? 'always' : 'never'}>{children}</MotionConfig>
+    </MotionPreferenceContext.Provider>
+  );
+};
+
+export const MotionToggle = ({ style }) => {
+  const { reducedMotion, setReducedMotion } = useMotionPreference();
+  const { t } = useLocale();
+
+  return (
+    <button
+      type="button"
+      aria-pressed={reducedMotion}
+      onClick={() => setReducedMotion(!reducedMotion)}
+      style={{
+        background: 'rgba(255,255,255,0.08)', color: reducedMotion ? '#FFD700' : '#888',
+        border: '1px solid rgba(255,255,255,0.15)', borderRadius: '50px',
+        padding: '10px 16px', fontSize: '0.8rem', fontWeight: '500',
+        cursor: 'pointer', backdropFilter: 'blur(10px)', ...style
+      }}
+    >
+      {t('motion.reduce')}
+    </button>
+  );
+};
@@ -0,0 +1,34 @@
+import { createContext, useContext } from "react";
+
+const STORAGE_KEY = 'reduced-motion';
+const QUERY = '(prefers-reduced-motion: reduce)';
+
+export const reducedMotionQuery = () => (
+  typeof window !== 'undefined' && window.matchMedia ? window.matchMedia(QUERY) : null
+);
+
+// `true`/`false` when the visitor has flipped the in-page toggle, `null` to follow the OS.
+export const readMotionOverride = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    return saved === null ? null : saved === 'reduce';
+  } catch {
+    return null;
+  }
+};
+
+export const saveMotionOverride = (reduced) => {
+  try {
+    if (reduced === null) window.localStorage.removeItem(STORAGE_KEY);
+    else window.localStorage.setItem(STORAGE_KEY, reduced ? 'reduce' : 'full');
+  } catch {
+    // Storage unavailable: the choice lasts for this visit only.
+  }
+};
+
+export const MotionPreferenceContext = createContext({
+  reducedMotion: false,
+  setReducedMotion: () => {},
+});
+
+export const useMotionPreference = () => useContext(MotionPreferenceContext);
@@ -0,0 +1,180 @@
+import React, { useState } from "react";
+import { Link, useParams } from "react-router";
+import { AnimatePresence, motion } from "framer-motion";
+import { projects } from "virtual:content";
+import ScrollPage, { BackLink, IconArrow } from "../routing/ScrollPage";
+import { useDocumentTitle } from "../routing/documentTitle";
+import { pillLink, sectionLabel } from "../routing/pageStyles";
+import { track } from "../analytics/analytics";
+
+const MotionImage = motion.img;
+const MotionArticle = motion.article;
+
+// Going "back" to the home page lands on the project list, not the hero.
+const HOME_STATE = { scrollTo: 'projects' };
+
+const Gallery = ({ title, images }) => {
+  const [active, setActive] = useState(0);
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '15px' }}>
+      <div style={{
+        position: 'relative', width: '100%', aspectRatio: '16 / 9', overflow: 'hidden',
+        borderRadius: '20px', border: '1px solid rgba(255,255,255,0.1)', background: 'rgba(255,255,255,0.02)'
+      }}>
+        <AnimatePresence initial={false}>
+          <MotionImage
+            key={images[active]}
+            src={images[active]}
+            alt={`${title} screenshot ${active + 1} of ${images.length}`}
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            transition={{ duration: 0.4 }}
+            style={{ position: 'absolute', inset: 0, width: '100%', height: '100%', objectFit: 'cover' }}
+          />
+        </AnimatePresence>
+      </div>
+      {images.length > 1 && (
+        <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap' }}>
+          {images.map((src, i) => (
+            <button
+              key={src}
+              onClick={() => setActive(i)}
+              aria-label={`Show screenshot ${i + 1}`}
+              aria-pressed={i === active}
+              style={{
+                width: '90px', height: '60px', padding: 0, overflow: 'hidden', cursor: 'pointer',
+                borderRadius: '10px', background: 'none',
+                border: i === active ? '2px solid #FFD700' : '2px solid transparent',
+                opacity: i === active ? 1 : 0.5, transition: 'all 0.3s ease'
+              }}
+            >
+              <img src={src} alt="" style={{ width: '100%', height: '100%', objectFit: 'cover' }} />
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const NeighbourLink = ({ project, direction }) => (
+  <Link
+    to={`/projects/${project.slug}`}
+    style={{
+      flex: '1 1 250px', display: 'flex', flexDirection: 'column', gap: '5px',
+      alignItems: direction === 'next' ? 'flex-end' : 'flex-start',
+      padding: '25px 30px', borderRadius: '20px', textDecoration: 'none',
+      border: '1px solid rgba(255,255,255,0.08)', background: 'rgba(255,255,255,0.03)'
+    }}
+  >
+    <span style={{ display: 'inline-flex', alignItems: 'center', gap: '8px', color: '#888', fontSize: '0.8rem', letterSpacing: '0.1em', textTransform: 'uppercase' }}>
+      {direction === 'previous' && <IconArrow flip />}
+      {direction === 'previous' ? 'Previous' : 'Next'}
+      {direction === 'next' && <IconArrow />}
+    </span>
+    <span style={{ color: 'white', fontSize: '1.3rem', fontWeight: 'bold' }}>{project.title}</span>
+  </Link>
+);
+
+const ProjectNotFound = ({ slug }) => (
+  <div style={{ minHeight: '100vh', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', gap: '25px', padding: '20px', textAlign: 'center' }}>
+    <h1 style={{ color: 'white', margin: 0 }}>No project called “{slug}”</h1>
+    <p style={{ color: '#888', margin: 0 }}>It may have been renamed or removed.</p>
+    <BackLink to="/" state={HOME_STATE}>All projects</BackLink>
+  </div>
+);
+
+const ProjectPage = () => {
+  const { slug } = useParams();
+
+  const index = projects.findIndex(project => project.slug === slug);
+  const project = projects[index];
+  // Wraps around, so every page has somewhere to go in both directions.
+  const previous = projects[(index - 1 + projects.length) % projects.length];
+  const next = projects[(index + 1) % projects.length];
+
+  useDocumentTitle(project?.title);
+
+  return (
+    <ScrollPage>
+      {!project ? <ProjectNotFound slug={slug} /> : (
+        <MotionArticle
+          key={project.slug}
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.6 }}
+          style={{ maxWidth: '1100px', margin: '0 auto', padding: 'clamp(25px, 6vw, 80px) clamp(20px, 5vw, 40px)', boxSizing: 'border-box' }}
+        >
+          <BackLink to="/" state={HOME_STATE}>All projects</BackLink>
+
+          <header style={{ margin: '50px 0 40px 0', borderLeft: '2px solid #FFD700', paddingLeft: '20px' }}>
+            <div style={{ color: '#FFD700', fontWeight: 'bold', fontSize: '1.2rem' }}>0{project.order}</div>
+            <h1 style={{ color: 'white', fontSize: 'clamp(2.2rem, 6vw, 4rem)', fontWeight: 900, margin: '5px 0', lineHeight: 1.1 }}>{project.title}</h1>
+            <p style={{ color: '#888', margin: 0, letterSpacing: '0.05em' }}>{project.category}</p>
+          </header>
+
+          <Gallery title={project.title} images={[project.image, ...(project.gallery || [])]} />
+
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '50px', marginTop: '50px' }}>
+            <div style={{ flex: '2 1 400px' }}>
+              <h2 style={sectionLabel}>Overview</h2>
+              {project.description.split('\n\n').map(paragraph => (
+                <p key={paragraph} style={{ color: '#ccc', lineHeight: 1.8, fontSize: '1.05rem', margin: '0 0 20px 0' }}>{paragraph}</p>
+              ))}
+
+              {project.outcomes && (
+                <>
+                  <h2 style={{ ...sectionLabel, marginTop: '40px' }}>Outcomes</h2>
+                  <ul style={{ margin: 0, padding: 0, listStyle: 'none', display: 'flex', flexDirection: 'column', gap: '12px' }}>
+                    {project.outcomes.map(outcome => (
+                      <li key={outcome} style={{ display: 'flex', gap: '12px', color: '#ccc', lineHeight: 1.6 }}>
+                        <span style={{ color: '#FFD700' }}>◆</span>{outcome}
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </div>
+
+            <aside style={{ flex: '1 1 250px', display: 'flex', flexDirection: 'column', gap: '35px' }}>
+              <div>
+                <h2 style={sectionLabel}>Role</h2>
+                <p style={{ color: 'white', margin: 0, lineHeight: 1.6 }}>{project.role}</p>
+              </div>
+              <div>
+                <h2 style={sectionLabel}>Tech Stack</h2>
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px' }}>
+                  {project.stack.map(tech => (
+                    <span key={tech} style={{
+                      padding: '8px 16px', borderRadius: '20px', fontSize: '0.85rem', color: '#ccc',
+                      background: 'rgba(255,255,255,0.05)', border: '1px solid rgba(255,255,255,0.1)'
+                    }}>{tech}</span>
+                  ))}
+                </div>
+              </div>
+              <a
+                href={project.repo}
+                target="_blank"
+                rel="noopener noreferrer"
+                onClick={() => track('repo_click', { project: project.slug })}
+                style={{ ...pillLink, alignSelf: 'flex-start', background: '#FFD700', color: 'black', fontWeight: 'bold', border: 'none' }}
+              >
+                View Repository <IconArrow />
+              </a>
+            </aside>
+          </div>
+
+          {projects.length > 1 && (
+            <nav aria-label="More projects" style={{ display: 'flex', flexWrap: 'wrap', gap: '20px', marginTop: '80px' }}>
+              <NeighbourLink project={previous} direction="previous" />
+              <NeighbourLink project={next} direction="next" />
+            </nav>
+          )}
+        </MotionArticle>
+      )}
+    </ScrollPage>
+  );
+};
+
+export default ProjectPage;
@@ -0,0 +1,62 @@
+import React from "react";
+import githubStats from "virtual:github-stats";
+import { languageColor } from "./languageColors";
+import { useLocale } from "../i18n/locale";
+
+const IconStar = () => (
+  <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor"><polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon></svg>
+);
+
+const IconFork = () => (
+  <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="6" cy="5" r="2"></circle><circle cx="18" cy="5" r="2"></circle><circle cx="12" cy="19" r="2"></circle><path d="M6 7v2a3 3 0 0 0 3 3h6a3 3 0 0 0 3-3V7"></path><line x1="12" y1="12" x2="12" y2="17"></line></svg>
+);
+
+const formatMonth = (iso, locale) => new Date(iso).toLocaleDateString(locale, { month: 'short', year: 'numeric', timeZone: 'UTC' });
+const formatShare = (share) => (share < 0.1 ? `${(share * 100).toFixed(1)}%` : `${Math.round(share * 100)}%`);
+
+// Repository numbers collected at build time (plugins/github); renders nothing without them.
+const RepoStats = ({ slug, compact }) => {
+  const { locale, t } = useLocale();
+  const stats = githubStats[slug];
+  if (!stats) return null;
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '12px', marginTop: '20px' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '18px', color: '#888', fontSize: '0.85rem' }}>
+        <span title={t('repo.stars')} style={{ display: 'inline-flex', alignItems: 'center', gap: '6px', color: '#FFD700' }}><IconStar /> {stats.stars}</span>
+        <span title={t('repo.forks')} style={{ display: 'inline-flex', alignItems: 'center', gap: '6px' }}><IconFork /> {stats.forks}</span>
+        {stats.lastCommit && <span>{t('repo.lastCommit', { date: formatMonth(stats.lastCommit, locale) })}</span>}
+      </div>
+
+      {stats.languages.length > 0 && (
+        <div>
+          <div
+            role="img"
+            aria-label={t('repo.languages', { languages: stats.languages.map(lang => `${lang.name} ${formatShare(lang.share)}`).join(', ') })}
+            style={{ display: 'flex', height: '8px', borderRadius: '4px', overflow: 'hidden', gap: '2px' }}
+          >
+            {stats.languages.map(lang => (
+              <span key={lang.name} style={{ width: `${lang.share * 100}%`, minWidth: '2px', background: languageColor(lang.name) }} />
+            ))}
+          </div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px 15px', marginTop: '8px', fontSize: '0.75rem', color: '#888' }}>
+            {stats.languages.map(lang => (
+              <span key={lang.name} style={{ display: 'inline-flex', alignItems: 'center', gap: '6px' }}>
+                <span style={{ width: '8px', height: '8px', borderRadius: '50%', background: languageColor(lang.name) }} />
+                <span style={{ color: '#ccc' }}>{lang.name}</span> {formatShare(lang.share)}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {stats.readme && !compact && (
+        <p style={{ margin: 0, paddingLeft: '12px', borderLeft: '2px solid rgba(255,215,0,0.3)', color: '#888', fontSize: '0.85rem', lineHeight: 1.6, fontStyle: 'italic' }}>
+          {stats.readme}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default RepoStats;
@@ -0,0 +1,20 @@
+// GitHub's linguist colours for the languages these repositories use.
+const LANGUAGE_COLORS = {
+  'C': '#555555',
+  'C++': '#f34b7d',
+  'CMake': '#DA3434',
+  'CSS': '#663399',
+  'Dart': '#00B4AB',
+  'HTML': '#e34c26',
+  'Java': '#b07219',
+  'JavaScript': '#f1e05a',
+  'Jupyter Notebook': '#DA5B0B',
+  'Kotlin': '#A97BFF',
+  'Python': '#3572A5',
+  'R': '#198CE7',
+  'Shell': '#89e051',
+  'Swift': '#F05138',
+  'TypeScript': '#3178c6',
+};
+
+export const languageColor = (name) => LANGUAGE_COLORS[name] || '#666';
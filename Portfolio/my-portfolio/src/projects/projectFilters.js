@@ -0,0 +1,53 @@
+import { useNavigate, useSearchParams } from "react-router";
+import { useHydrated } from "../routing/hydration";
+
+// Category and technology filters live in the query string (`?tech=React`), so
+// "show me your React work" is a link that can be sent around. The free-text
+// search stays local to the projects section.
+
+const FILTER_PARAMS = ['category', 'tech'];
+
+export const projectCategories = (projects) => [...new Set(projects.map(project => project.category))];
+
+// Only technologies at least one project is tagged with, most used first.
+export const projectTechs = (projects) => {
+  const counts = new Map();
+  projects.forEach(project => project.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+  return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([tag, count]) => ({ tag, count }));
+};
+
+const searchableText = (project) => [
+  project.title, project.category, project.description, project.role, ...project.tags, ...project.stack,
+].join(' ').toLowerCase();
+
+// Every word of the query has to appear somewhere in the project.
+export const filterProjects = (projects, { category, tech, query = '' }) => {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return projects.filter(project => (
+    (!category || project.category === category)
+    && (!tech || project.tags.includes(tech))
+    && words.every(word => searchableText(project).includes(word))
+  ));
+};
+
+export const useProjectFilters = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const hydrated = useHydrated();
+
+  // Prerendered pages show every project; a filtered link narrows them after hydration.
+  const filters = Object.fromEntries(FILTER_PARAMS.map(name => [name, hydrated ? searchParams.get(name) : null]));
+
+  const setFilters = (changes) => {
+    // Start from the live URL: the cube controls rewrite it without the router.
+    const params = new URLSearchParams(window.location.search);
+    Object.entries(changes).forEach(([name, value]) => {
+      if (value) params.set(name, value);
+      else params.delete(name);
+    });
+    const search = params.toString();
+    navigate({ search: search ? `?${search}` : '' }, { replace: true });
+  };
+
+  return [filters, setFilters];
+};
@@ -0,0 +1,66 @@
+import React from "react";
+import { AnimatePresence, motion } from "framer-motion";
+import { useRegisterSW } from "virtual:pwa-register/react";
+import { useLocale } from "../i18n/locale";
+import { useHydrated } from "../routing/hydration";
+
+const MotionToast = motion.div;
+
+// A visitor may leave the tab open for days; look for a new build hourly.
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+const buttonStyle = {
+  background: 'none', border: 'none', color: '#888', cursor: 'pointer',
+  fontSize: '0.85rem', fontFamily: 'inherit', padding: '4px'
+};
+
+const UpdatePrompt = () => {
+  const { t } = useLocale();
+  const { needRefresh: [needRefresh, setNeedRefresh], updateServiceWorker } = useRegisterSW({
+    onRegisteredSW(swUrl, registration) {
+      if (!registration) return;
+      // Offline checks fail; the next one tries again.
+      setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL);
+    },
+  });
+
+  return (
+    <AnimatePresence>
+      {needRefresh && (
+        <MotionToast
+          role="status"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: 20 }}
+          style={{
+            position: 'fixed', bottom: '20px', left: '50%', x: '-50%', zIndex: 250,
+            display: 'flex', alignItems: 'center', gap: '14px', width: 'max-content', maxWidth: 'calc(100vw - 40px)',
+            boxSizing: 'border-box', padding: '10px 12px 10px 20px', color: '#ccc', fontSize: '0.9rem',
+            background: 'rgba(10,10,10,0.95)', border: '1px solid rgba(255,215,0,0.3)', borderRadius: '50px',
+            backdropFilter: 'blur(8px)', pointerEvents: 'auto'
+          }}
+        >
+          <span>{t('update.available')}</span>
+          <button
+            type="button"
+            onClick={() => updateServiceWorker(true)}
+            style={{ ...buttonStyle, background: '#FFD700', color: 'black', fontWeight: 'bold', borderRadius: '50px', padding: '8px 18px' }}
+          >
+            {t('update.reload')}
+          </button>
+          <button type="button" onClick={() => setNeedRefresh(false)} aria-label={t('update.dismiss')} style={buttonStyle}>✕</button>
+        </MotionToast>
+      )}
+    </AnimatePresence>
+  );
+};
+
+/**
+ * Registers the service worker (plugins/pwa) and says so when a new build
+ * has shipped. The new worker waits for the visitor to reload, so a page
+ * never swaps its scripts halfway through a visit. Registration starts while
+ * rendering, so it waits until the page has hydrated.
+ */
+const UpdateToast = () => (useHydrated() ? <UpdatePrompt /> : null);
+
+export default UpdateToast;
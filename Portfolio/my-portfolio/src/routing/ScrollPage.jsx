@@ -0,0 +1,35 @@
+import React, { useRef } from "react";
+import { Link } from "react-router";
+import { useScrollRestoration } from "./scrollRestoration";
+import { pillLink } from "./pageStyles";
+
+// Frame for the routed pages: a full-screen scroll container that remembers
+// its position per history entry, like the home page does.
+const ScrollPage = ({ children }) => {
+  const scrollRef = useRef();
+  useScrollRestoration(scrollRef);
+
+  return (
+    <div
+      ref={scrollRef}
+      style={{
+        width: '100vw', height: '100vh', overflowX: 'hidden', overflowY: 'auto',
+        background: '#050505', fontFamily: "'Inter', sans-serif"
+      }}
+    >
+      {children}
+    </div>
+  );
+};
+
+export const IconArrow = ({ flip }) => (
+  <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round" style={{ transform: flip ? 'scaleX(-1)' : 'none' }}>
+    <line x1="5" y1="12" x2="19" y2="12"></line><polyline points="12 5 19 12 12 19"></polyline>
+  </svg>
+);
+
+export const BackLink = ({ to, state, children }) => (
+  <Link to={to} state={state} style={pillLink}><IconArrow flip /> {children}</Link>
+);
+
+export default ScrollPage;
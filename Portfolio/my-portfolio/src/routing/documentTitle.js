@@ -0,0 +1,14 @@
+import { useEffect } from "react";
+import { site } from "virtual:content";
+
+// "AUTIX · Srinivas Vengaldas". Prerendered pages (plugins/prerender) start with the same title.
+export const pageTitle = (title) => (title ? `${title} · ${site.title}` : site.title);
+
+// Prefixes the site title while a page is mounted.
+export const useDocumentTitle = (title) => {
+  useEffect(() => {
+    if (!title) return;
+    document.title = pageTitle(title);
+    return () => { document.title = site.title; };
+  }, [title]);
+};
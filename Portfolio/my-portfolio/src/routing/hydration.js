@@ -0,0 +1,11 @@
+import { useSyncExternalStore } from "react";
+
+const subscribe = () => () => {};
+
+/**
+ * False while the page is rendered at build time (plugins/prerender) and while
+ * the browser hydrates that HTML, true from the next render on. Anything read
+ * from the URL, storage or the device goes behind it, so the first render in
+ * the browser matches the prerendered markup.
+ */
+export const useHydrated = () => useSyncExternalStore(subscribe, () => true, () => false);
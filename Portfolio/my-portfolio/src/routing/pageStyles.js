@@ -0,0 +1,20 @@
+// Shared by the home page sections and the routed pages (projects, writing).
+
+export const pillLink = {
+  display: 'inline-flex', alignItems: 'center', gap: '10px',
+  background: 'rgba(255,255,255,0.08)', color: 'white',
+  border: '1px solid rgba(255,255,255,0.15)', borderRadius: '50px',
+  padding: '10px 20px', fontSize: '0.9rem', fontWeight: '500',
+  textDecoration: 'none', backdropFilter: 'blur(10px)'
+};
+
+export const sectionLabel = {
+  color: '#FFD700', fontSize: '0.8rem', fontWeight: 'bold', letterSpacing: '0.2em',
+  textTransform: 'uppercase', margin: '0 0 15px 0'
+};
+
+export const chipStyle = (active) => ({
+  background: active ? '#FFD700' : 'rgba(255,255,255,0.05)', color: active ? 'black' : '#ccc',
+  border: active ? '1px solid #FFD700' : '1px solid rgba(255,255,255,0.1)', borderRadius: '20px',
+  padding: '8px 16px', fontSize: '0.85rem', fontWeight: active ? 'bold' : '500', cursor: 'pointer'
+});
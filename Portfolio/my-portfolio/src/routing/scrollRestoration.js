@@ -0,0 +1,86 @@
+import { useLayoutEffect, useRef } from "react";
+import { useLocation, useNavigationType } from "react-router";
+
+// The browser only restores the window's scroll position, but every page here
+// scrolls inside its own full-screen container. Offsets are kept per history
+// entry in sessionStorage so they also survive a reload.
+
+const STORAGE_KEY = 'scroll-positions';
+const MAX_ENTRIES = 50;
+// Sections below the fold can still be laying out when the page mounts.
+const RESTORE_FRAMES = 30;
+
+const readPositions = () => {
+  try {
+    return JSON.parse(window.sessionStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const savePosition = (key, top) => {
+  const positions = { ...readPositions(), [key]: top };
+  const keys = Object.keys(positions);
+  keys.slice(0, Math.max(0, keys.length - MAX_ENTRIES)).forEach(old => delete positions[old]);
+  try {
+    window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify(positions));
+  } catch {
+    // Storage unavailable: positions only last until the page unmounts.
+  }
+};
+
+const offsetWithin = (container, id) => {
+  const target = id && document.getElementById(id);
+  if (!target) return 0;
+  return target.getBoundingClientRect().top - container.getBoundingClientRect().top + container.scrollTop;
+};
+
+/**
+ * Puts `ref`'s scroll offset back when a history entry is revisited. Entries
+ * seen for the first time start at the element whose id is passed as
+ * `state.scrollTo` when navigating, or at the top. Replacing the entry without
+ * leaving the page (filters in the query string) keeps the current offset.
+ */
+export const useScrollRestoration = (ref) => {
+  const location = useLocation();
+  const navigationType = useNavigationType();
+  const { key, pathname } = location;
+  const anchor = location.state?.scrollTo;
+  const lastPathname = useRef(null);
+
+  useLayoutEffect(() => {
+    const container = ref.current;
+    if (!container) return;
+
+    const stay = navigationType === 'REPLACE' && lastPathname.current === pathname;
+    lastPathname.current = pathname;
+
+    const saved = readPositions()[key];
+    let frame;
+    const restore = (attempts) => {
+      const top = saved ?? offsetWithin(container, anchor);
+      container.scrollTo({ top, behavior: 'instant' });
+      if (Math.abs(container.scrollTop - top) > 1 && attempts > 0) {
+        frame = requestAnimationFrame(() => restore(attempts - 1));
+      }
+    };
+    if (!stay) restore(RESTORE_FRAMES);
+
+    let pending = false;
+    const handleScroll = () => {
+      if (pending) return;
+      pending = true;
+      requestAnimationFrame(() => {
+        pending = false;
+        savePosition(key, container.scrollTop);
+      });
+    };
+    container.addEventListener('scroll', handleScroll, { passive: true });
+
+    return () => {
+      cancelAnimationFrame(frame);
+      container.removeEventListener('scroll', handleScroll);
+      savePosition(key, container.scrollTop);
+    };
+  }, [ref, key, pathname, anchor, navigationType]);
+};
@@ -0,0 +1,64 @@
+import React from "react";
+import { useMotionPreference } from "../motion/motionPreference";
+
+const SIZE = 180;
+
+const FACES = [
+  'rotateY(0deg)', 'rotateY(90deg)', 'rotateY(180deg)',
+  'rotateY(-90deg)', 'rotateX(90deg)', 'rotateX(-90deg)',
+];
+
+// Stand-in for the WebGL scene: a CSS 3D gold cube that turns slowly.
+const CubePoster = ({ compact }) => {
+  const { reducedMotion } = useMotionPreference();
+
+  return (
+    <div
+      aria-hidden="true"
+      style={{
+        width: '100%', height: '100%', display: 'flex', alignItems: 'center',
+        justifyContent: compact ? 'center' : 'flex-end', paddingRight: compact ? 0 : '15%',
+        paddingTop: compact ? '40vh' : 0, boxSizing: 'border-box', perspective: '900px',
+        background: 'radial-gradient(circle at 70% 50%, rgba(255, 215, 0, 0.08) 0%, transparent 55%), #050505'
+      }}
+    >
+      <style>{`
+        @keyframes cube-poster-spin {
+          from { transform: rotateX(-25deg) rotateY(0deg); }
+          to { transform: rotateX(-25deg) rotateY(360deg); }
+        }
+      `}</style>
+      <div
+        style={{
+          position: 'relative', width: SIZE, height: SIZE, transformStyle: 'preserve-3d',
+          transform: 'rotateX(-25deg) rotateY(35deg)',
+          animation: reducedMotion ? 'none' : 'cube-poster-spin 24s linear infinite'
+        }}
+      >
+        {FACES.map((rotation) => (
+          <div
+            key={rotation}
+            style={{
+              position: 'absolute', inset: 0, display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)',
+              gap: '6px', padding: '6px', boxSizing: 'border-box', background: '#111',
+              transform: `${rotation} translateZ(${SIZE / 2}px)`
+            }}
+          >
+            {Array.from({ length: 9 }, (_, i) => (
+              <div
+                key={i}
+                style={{
+                  borderRadius: '4px',
+                  background: 'linear-gradient(135deg, #FFF3B0 0%, #FFD700 35%, #B8860B 70%, #FFE680 100%)',
+                  boxShadow: 'inset 0 0 12px rgba(0, 0, 0, 0.35)'
+                }}
+              />
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default CubePoster;
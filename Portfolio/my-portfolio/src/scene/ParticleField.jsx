@@ -0,0 +1,143 @@
+import React, { useEffect, useLayoutEffect, useMemo, useRef } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import * as THREE from "three";
+import { useMotionPreference } from "../motion/motionPreference";
+
+// Home position, bob phase, rate and size for every particle, packed into flat
+// arrays so the per-frame loop doesn't allocate.
+const scatterParticles = (count, sx, sy, sz) => {
+  const home = new Float32Array(count * 3);
+  const phase = new Float32Array(count);
+  const rate = new Float32Array(count);
+  const scale = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    home[i * 3] = (Math.random() - 0.5) * sx;
+    home[i * 3 + 1] = (Math.random() - 0.5) * sy;
+    home[i * 3 + 2] = (Math.random() - 0.5) * sz;
+    phase[i] = Math.random() * Math.PI * 2;
+    rate[i] = Math.random() * 0.5 + 0.2;
+    scale[i] = Math.random() * 0.4 + 0.1;
+  }
+  return { home, phase, rate, scale };
+};
+
+const pointerPlane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+const raycaster = new THREE.Raycaster();
+const hit = new THREE.Vector3();
+const dummy = new THREE.Object3D();
+
+/**
+ * The whole field is one instanced mesh, so going from dozens of particles to
+ * thousands costs the same single draw call.
+ *
+ * `spread` is the box the particles are scattered in (a number or `[x, y, z]`).
+ * `pointer` is 'repel', 'attract' or 'none'; particles within `radius` of the
+ * cursor are pushed or pulled by up to `strength` units.
+ */
+const ParticleField = ({
+  count = 1000,
+  spread = [14, 14, 8],
+  color = '#FFD700',
+  speed = 1,
+  size = 0.08,
+  pointer = 'repel',
+  radius = 2.5,
+  strength = 1.2,
+}) => {
+  const mesh = useRef();
+  const pointerInside = useRef(false);
+  // How far each particle is currently pushed from its path; eased toward the pointer's pull.
+  const offsets = useRef(new Float32Array(0));
+  const { reducedMotion } = useMotionPreference();
+  const eventTarget = useThree((state) => state.events.connected);
+  const [sx, sy, sz] = Array.isArray(spread) ? spread : [spread, spread, spread];
+  const particles = useMemo(() => scatterParticles(count, sx, sy, sz), [count, sx, sy, sz]);
+
+  useLayoutEffect(() => {
+    mesh.current.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  }, [count]);
+
+  // The pointer only counts while it is over the canvas.
+  useEffect(() => {
+    if (!eventTarget) return;
+    const enter = () => { pointerInside.current = true; };
+    const leave = () => { pointerInside.current = false; };
+    eventTarget.addEventListener('pointermove', enter);
+    eventTarget.addEventListener('pointerleave', leave);
+    return () => {
+      eventTarget.removeEventListener('pointermove', enter);
+      eventTarget.removeEventListener('pointerleave', leave);
+    };
+  }, [eventTarget]);
+
+  useFrame((state, delta) => {
+    const field = mesh.current;
+    if (!field) return;
+    const { home, phase, rate, scale } = particles;
+    if (offsets.current.length !== count * 3) offsets.current = new Float32Array(count * 3);
+    const offset = offsets.current;
+    const animate = !reducedMotion;
+
+    if (animate) {
+      field.rotation.y -= delta * 0.05 * speed;
+      field.rotation.x += delta * 0.02 * speed;
+    }
+
+    let tracking = false;
+    if (animate && pointer !== 'none' && pointerInside.current) {
+      raycaster.setFromCamera(state.pointer, state.camera);
+      if (raycaster.ray.intersectPlane(pointerPlane, hit)) {
+        field.worldToLocal(hit);
+        tracking = true;
+      }
+    }
+
+    const sign = pointer === 'attract' ? -1 : 1;
+    const ease = Math.min(1, delta * 4);
+    const t = state.clock.elapsedTime * speed;
+
+    for (let i = 0; i < count; i++) {
+      const i3 = i * 3;
+      let x = home[i3];
+      let y = home[i3 + 1];
+      const z = home[i3 + 2];
+      if (animate) {
+        const wave = t * rate[i] + phase[i];
+        x += Math.cos(wave * 0.7) * 0.1;
+        y += Math.sin(wave) * 0.2;
+      }
+
+      let tx = 0, ty = 0, tz = 0;
+      if (tracking) {
+        const dx = x - hit.x, dy = y - hit.y, dz = z - hit.z;
+        const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        if (dist < radius && dist > 1e-4) {
+          let push = (1 - dist / radius) * strength;
+          // Attracted particles gather around the cursor instead of overshooting it.
+          if (sign < 0) push = Math.min(push, dist * 0.8);
+          tx = (dx / dist) * push * sign;
+          ty = (dy / dist) * push * sign;
+          tz = (dz / dist) * push * sign;
+        }
+      }
+      offset[i3] += (tx - offset[i3]) * ease;
+      offset[i3 + 1] += (ty - offset[i3 + 1]) * ease;
+      offset[i3 + 2] += (tz - offset[i3 + 2]) * ease;
+
+      dummy.position.set(x + offset[i3], y + offset[i3 + 1], z + offset[i3 + 2]);
+      dummy.scale.setScalar(scale[i]);
+      dummy.updateMatrix();
+      field.setMatrixAt(i, dummy.matrix);
+    }
+    field.instanceMatrix.needsUpdate = true;
+  });
+
+  return (
+    <instancedMesh ref={mesh} args={[undefined, undefined, count]} frustumCulled={false}>
+      <sphereGeometry args={[size, 8, 6]} />
+      <meshStandardMaterial color={color} emissive={color} emissiveIntensity={0.2} metalness={1} roughness={0.1} />
+    </instancedMesh>
+  );
+};
+
+export default ParticleField;
@@ -0,0 +1,66 @@
+import React, { useCallback, useMemo, useState } from "react";
+import { PerformanceMonitor } from "@react-three/drei";
+import {
+  QUALITY_SETTINGS, QUALITY_TIERS, QualityContext, readQualitySetting, saveQualitySetting, stepTier, useQuality,
+} from "./quality";
+import { useLocale } from "../i18n/locale";
+import { useHydrated } from "../routing/hydration";
+
+export const QualityProvider = ({ children }) => {
+  const hydrated = useHydrated();
+  const [savedSetting, setSettingState] = useState(readQualitySetting);
+  const setting = hydrated ? savedSetting : 'auto';
+  const [autoTier, setAutoTier] = useState('medium');
+  const tier = setting === 'auto' ? autoTier : setting;
+
+  const setSetting = useCallback((value) => {
+    saveQualitySetting(value);
+    setSettingState(value);
+  }, []);
+
+  const value = useMemo(() => ({
+    setting, tier, settings: QUALITY_TIERS[tier], setSetting, setAutoTier,
+  }), [setting, tier, setSetting]);
+
+  return <QualityContext.Provider value={value}>{children}</QualityContext.Provider>;
+};
+
+// Lives inside <Canvas>: watches frame times and steps the automatic tier.
+export const AdaptiveQuality = () => {
+  const { setting, setAutoTier } = useQuality();
+  if (setting !== 'auto') return null;
+
+  return (
+    <PerformanceMonitor
+      flipflops={3}
+      onIncline={() => setAutoTier(t => stepTier(t, 1))}
+      onDecline={() => setAutoTier(t => stepTier(t, -1))}
+      onFallback={() => setAutoTier('low')}
+    />
+  );
+};
+
+export const QualitySwitch = () => {
+  const { setting, tier, setSetting } = useQuality();
+  const { t } = useLocale();
+
+  return (
+    <label style={{ color: '#888', fontSize: '0.75rem', letterSpacing: '0.05em', display: 'flex', alignItems: 'center', gap: '8px', pointerEvents: 'auto' }}>
+      {t('quality.label')}
+      <select
+        value={setting}
+        onChange={(e) => setSetting(e.target.value)}
+        style={{
+          background: 'rgba(255,255,255,0.08)', color: 'white', border: '1px solid rgba(255,255,255,0.15)',
+          borderRadius: '50px', padding: '4px 10px', fontSize: '0.75rem', cursor: 'pointer'
+        }}
+      >
+        {QUALITY_SETTINGS.map(option => (
+          <option key={option} value={option} style={{ background: '#050505' }}>
+            {option === 'auto' ? t('quality.auto', { tier: t(`quality.${tier}`) }) : t(`quality.${option}`)}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
@@ -0,0 +1,62 @@
+import React, { Component, useCallback, useEffect, useState } from "react";
+import { Canvas } from "@react-three/fiber";
+import { isWebGLAvailable } from "./webgl";
+import { useHydrated } from "../routing/hydration";
+
+// A GPU that keeps dropping the context gets the poster after this many rebuilds.
+const MAX_REBUILDS = 3;
+
+class SceneErrorBoundary extends Component {
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error) {
+    this.props.onError?.(error);
+  }
+
+  render() {
+    return this.state.error ? this.props.fallback : this.props.children;
+  }
+}
+
+/**
+ * A `<Canvas>` that degrades instead of leaving a black void. `fallback` shows
+ * when WebGL is missing or the scene throws, and a lost context remounts the
+ * canvas with a fresh renderer.
+ *
+ * The prerendered page and its hydration show `fallback`; the canvas takes
+ * over right after. `onStatusChange` hears 'ready' or 'fallback' from then on. `onContextLost` runs just
+ * before a rebuild, while the old scene can still be read.
+ */
+const ResilientCanvas = ({ fallback, onStatusChange, onContextLost, onCreated, children, ...props }) => {
+  const hydrated = useHydrated();
+  const [supported] = useState(isWebGLAvailable);
+  const [failed, setFailed] = useState(false);
+  const [generation, setGeneration] = useState(0);
+  const usable = hydrated && supported && !failed && generation <= MAX_REBUILDS;
+
+  useEffect(() => {
+    if (hydrated && onStatusChange) onStatusChange(usable ? 'ready' : 'fallback');
+  }, [hydrated, usable, onStatusChange]);
+
+  const handleCreated = useCallback((state) => {
+    state.gl.domElement.addEventListener('webglcontextlost', () => {
+      if (onContextLost) onContextLost();
+      setGeneration(g => g + 1);
+    }, { once: true });
+    if (onCreated) onCreated(state);
+  }, [onContextLost, onCreated]);
+
+  if (!usable) return fallback;
+
+  return (
+    <SceneErrorBoundary key={generation} fallback={fallback} onError={() => setFailed(true)}>
+      <Canvas onCreated={handleCreated} {...props}>{children}</Canvas>
+    </SceneErrorBoundary>
+  );
+};
+
+export default ResilientCanvas;
@@ -0,0 +1,33 @@
+import React, { Suspense, use } from "react";
+import { Environment, Lightformer } from "@react-three/drei";
+import { useQuality } from "./quality";
+import { DEFAULT_ENVIRONMENT, loadEnvironment } from "./environmentMaps";
+
+// A handful of light panels rendered into a small cube map. Cheap, and needs no download.
+export const ProceduralEnvironment = ({ resolution = 64 }) => (
+  <Environment resolution={resolution}>
+    <Lightformer form="rect" intensity={4} color="#ffffff" position={[0, 5, -9]} scale={[10, 3, 1]} />
+    <Lightformer form="rect" intensity={2} color="#ffeedd" position={[-5, 1, -1]} rotation-y={Math.PI / 2} scale={[20, 0.5, 1]} />
+    <Lightformer form="rect" intensity={2} color="#ddeeff" position={[5, -1, -1]} rotation-y={-Math.PI / 2} scale={[20, 0.5, 1]} />
+    <Lightformer form="ring" intensity={3} color="#ffffff" position={[0, 3, 6]} scale={3} />
+  </Environment>
+);
+
+const PresetEnvironment = ({ preset }) => {
+  const files = use(loadEnvironment(preset));
+  if (!files) return <ProceduralEnvironment />;
+  return <Environment files={files} />;
+};
+
+// The procedural panels light the cube while the map downloads and decodes.
+const SceneEnvironment = ({ preset = DEFAULT_ENVIRONMENT }) => {
+  const { settings } = useQuality();
+  if (settings.environment === 'procedural') return <ProceduralEnvironment />;
+  return (
+    <Suspense fallback={<ProceduralEnvironment />}>
+      <PresetEnvironment preset={preset} />
+    </Suspense>
+  );
+};
+
+export default SceneEnvironment;
@@ -0,0 +1,30 @@
+import { useEffect } from "react";
+import { useThree } from "@react-three/fiber";
+
+const SNAPSHOT_PARAM = 'og-snapshot';
+const ENDPOINT = '/__og/cube-snapshot';
+// Long enough for the environment map to load and the cube to settle.
+const DELAY = 3000;
+
+// Dev server only: with `?og-snapshot` in the URL, saves one frame of the scene
+// for the home page's link preview card (plugins/og), which reports in the
+// terminal whether it worked.
+const SceneSnapshot = () => {
+  const { gl, scene, camera } = useThree();
+
+  useEffect(() => {
+    if (!new URLSearchParams(window.location.search).has(SNAPSHOT_PARAM)) return;
+    const id = setTimeout(() => {
+      // Drawn and read in one go: the canvas clears its buffer after every frame.
+      gl.render(scene, camera);
+      gl.domElement.toBlob((blob) => {
+        fetch(ENDPOINT, { method: 'POST', headers: { 'Content-Type': 'image/png' }, body: blob }).catch(() => {});
+      }, 'image/png');
+    }, DELAY);
+    return () => clearTimeout(id);
+  }, [gl, scene, camera]);
+
+  return null;
+};
+
+export default SceneSnapshot;
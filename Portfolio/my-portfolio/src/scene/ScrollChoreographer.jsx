@@ -0,0 +1,81 @@
+import React, { useEffect, useMemo, useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import * as THREE from "three";
+import { useMotionPreference } from "../motion/motionPreference";
+import { measureKeyframes, prepareKeyframes, samplePose } from "./scrollChoreography";
+
+const AXES = ['x', 'y', 'z'];
+
+// Shortest way round from `angle` to `target`, so a long spin doesn't unwind turn by turn.
+const settleAngle = (angle, target, t) => {
+  const diff = THREE.MathUtils.euclideanModulo(target - angle + Math.PI, Math.PI * 2) - Math.PI;
+  return angle + diff * t;
+};
+
+const applyMaterial = (group, material) => {
+  group.traverse(obj => {
+    const target = obj.material;
+    if (!target || !target.isMeshStandardMaterial) return;
+    Object.entries(material).forEach(([key, value]) => {
+      if (target[key] && target[key].isColor) target[key].set(value);
+      else target[key] = value;
+    });
+  });
+};
+
+/**
+ * Moves its children through `keyframes` (see scrollChoreography.js) as
+ * `scrollContainer` scrolls. The group eases toward each sampled pose, or
+ * snaps to it when the visitor prefers reduced motion, which also stops spins.
+ */
+const ScrollChoreographer = ({ keyframes, scrollContainer, compact = false, base, children }) => {
+  const group = useRef();
+  const { reducedMotion } = useMotionPreference();
+  const frames = useMemo(() => prepareKeyframes(keyframes, { compact, base }), [keyframes, compact, base]);
+  // Keyframe offsets, measured again whenever the page's layout changes.
+  const measured = useRef(null);
+  const appliedMaterial = useRef('');
+
+  useEffect(() => {
+    const container = scrollContainer.current;
+    if (!container) return;
+    measured.current = null;
+    // The viewport, and the page's content: a section growing moves every anchor below it.
+    const observer = new ResizeObserver(() => { measured.current = null; });
+    observer.observe(container);
+    Array.from(container.children).forEach(child => observer.observe(child));
+    return () => observer.disconnect();
+  }, [scrollContainer, frames]);
+
+  useFrame((state, delta) => {
+    const container = scrollContainer.current;
+    const target = group.current;
+    if (!container || !target) return;
+    measured.current ??= measureKeyframes(frames, container);
+    const pose = samplePose(measured.current, container.scrollTop);
+    if (!pose) return;
+
+    const follow = reducedMotion ? 1 : 1 - Math.exp(-delta * 6);
+    target.position.x = THREE.MathUtils.lerp(target.position.x, pose.position[0], follow);
+    target.position.y = THREE.MathUtils.lerp(target.position.y, pose.position[1], follow);
+    target.position.z = THREE.MathUtils.lerp(target.position.z, pose.position[2], follow);
+    target.scale.setScalar(THREE.MathUtils.lerp(target.scale.x, pose.scale, follow));
+
+    const settle = reducedMotion ? 1 : 1 - Math.exp(-delta * 3);
+    AXES.forEach((axis, i) => {
+      if (!reducedMotion && pose.spin[i]) target.rotation[axis] += pose.spin[i] * delta;
+      else target.rotation[axis] = settleAngle(target.rotation[axis], pose.rotation[i], settle);
+    });
+
+    // The material only changes with scroll, so skip the walk over every mesh while it holds.
+    const material = JSON.stringify(pose.material);
+    if (material !== appliedMaterial.current) {
+      applyMaterial(target, pose.material);
+      appliedMaterial.current = material;
+    }
+  });
+
+  return <group ref={group}>{children}</group>;
+};
+
+export default ScrollChoreographer;
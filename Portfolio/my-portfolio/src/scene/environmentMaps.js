@@ -0,0 +1,25 @@
+// Environment maps ship with the site instead of coming from drei's CDN. Each
+// preset is a 512x256 DWAB-compressed EXR from @pmndrs/assets, split into its
+// own chunk so only the one in use is downloaded.
+export const ENVIRONMENT_PRESETS = {
+  city: () => import('@pmndrs/assets/hdri/city.exr'),
+  studio: () => import('@pmndrs/assets/hdri/studio.exr'),
+  warehouse: () => import('@pmndrs/assets/hdri/warehouse.exr'),
+  lobby: () => import('@pmndrs/assets/hdri/lobby.exr'),
+  sunset: () => import('@pmndrs/assets/hdri/sunset.exr'),
+  night: () => import('@pmndrs/assets/hdri/night.exr'),
+};
+
+export const DEFAULT_ENVIRONMENT = 'city';
+
+const requests = new Map();
+
+// One promise per preset, so remounts reuse it. Resolves to the map's URL, or
+// `null` if it can't be fetched and the scene should keep procedural lighting.
+export const loadEnvironment = (preset) => {
+  if (!requests.has(preset)) {
+    const load = ENVIRONMENT_PRESETS[preset] || ENVIRONMENT_PRESETS[DEFAULT_ENVIRONMENT];
+    requests.set(preset, load().then(module => module.default, () => null));
+  }
+  return requests.get(preset);
+};
@@ -0,0 +1,77 @@
+import { createContext, useContext } from "react";
+
+// Each tier trades a bit of polish for frame time. `auto` starts at medium and
+// lets the performance monitor move it up or down.
+export const QUALITY_TIERS = {
+  low: {
+    smoothness: 1,
+    shadows: false,
+    contactShadows: false,
+    dpr: [0.75, 1],
+    particles: 200,
+    environment: 'procedural',
+  },
+  medium: {
+    smoothness: 3,
+    shadows: false,
+    contactShadows: true,
+    dpr: [1, 1.5],
+    particles: 800,
+    environment: 'hdr',
+  },
+  high: {
+    smoothness: 5,
+    shadows: true,
+    contactShadows: true,
+    dpr: [1, 2],
+    particles: 2000,
+    environment: 'hdr',
+  },
+};
+
+export const TIER_ORDER = ['low', 'medium', 'high'];
+export const QUALITY_SETTINGS = ['auto', ...TIER_ORDER];
+
+const STORAGE_KEY = 'scene-quality';
+
+const isSetting = (value) => QUALITY_SETTINGS.includes(value);
+
+// `?quality=low|medium|high|auto` wins over the saved setting, and is saved in turn.
+export const readQualitySetting = () => {
+  if (typeof window === 'undefined') return 'auto';
+  const fromUrl = new URLSearchParams(window.location.search).get('quality');
+  if (isSetting(fromUrl)) {
+    saveQualitySetting(fromUrl);
+    return fromUrl;
+  }
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    return isSetting(saved) ? saved : 'auto';
+  } catch {
+    return 'auto';
+  }
+};
+
+export const saveQualitySetting = (setting) => {
+  try {
+    if (setting === 'auto') window.localStorage.removeItem(STORAGE_KEY);
+    else window.localStorage.setItem(STORAGE_KEY, setting);
+  } catch {
+    // Storage unavailable: the choice lasts for this visit only.
+  }
+};
+
+export const stepTier = (tier, step) => {
+  const index = TIER_ORDER.indexOf(tier) + step;
+  return TIER_ORDER[Math.min(TIER_ORDER.length - 1, Math.max(0, index))];
+};
+
+export const QualityContext = createContext({
+  setting: 'auto',
+  tier: 'high',
+  settings: QUALITY_TIERS.high,
+  setSetting: () => {},
+  setAutoTier: () => {},
+});
+
+export const useQuality = () => useContext(QualityContext);
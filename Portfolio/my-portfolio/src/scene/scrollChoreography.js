@@ -0,0 +1,130 @@
+// Scroll choreography: keyframes for a scene object, pinned to page sections.
+//
+// A keyframe is reached when a point on its `anchor` element lines up with a
+// point in the viewport. `at: 'top center'` means "the section's top edge sits
+// at the middle of the viewport"; each edge is `top`, `center`, `bottom` or a
+// percentage, so `'top -50%'` is half a screen after the top leaves the view.
+//
+//   {
+//     anchor: '#skills', at: 'top center', ease: 'easeOut',
+//     position: [3, 0, -2], rotation: [0.5, -0.6, 0], spin: [0, 0.6, 0], scale: 0.6,
+//     material: { emissive: '#FFD700', emissiveIntensity: 0.15 },
+//     compact: { position: [0, 0, -3] },
+//   }
+//
+// `rotation` is the resting pose; `spin` (radians per second) keeps an axis
+// turning instead. `ease` shapes the stretch leading into the keyframe, and
+// `compact` overrides fields on narrow screens. Anything a keyframe leaves out
+// carries over from the one before it. Keyframes are listed in scroll order.
+
+import * as THREE from "three";
+
+export const EASINGS = {
+  linear: (t) => t,
+  easeIn: (t) => t * t,
+  easeOut: (t) => t * (2 - t),
+  easeInOut: (t) => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)),
+};
+
+const EDGES = { top: 0, center: 0.5, bottom: 1 };
+
+const NUMERIC = ['emissiveIntensity', 'metalness', 'roughness', 'envMapIntensity'];
+const COLORS = ['color', 'emissive'];
+
+const parseEdge = (edge) => {
+  if (edge in EDGES) return EDGES[edge];
+  const percent = parseFloat(edge);
+  if (edge.endsWith('%') && !Number.isNaN(percent)) return percent / 100;
+  throw new Error(`Unknown scroll keyframe edge "${edge}"`);
+};
+
+export const parseAt = (at = 'top top') => {
+  const [element, viewport = element] = at.trim().split(/\s+/);
+  return { element: parseEdge(element), viewport: parseEdge(viewport) };
+};
+
+/**
+ * Applies the compact variant, fills gaps from the previous keyframe and parses
+ * `at`, so sampling never has to guess.
+ */
+export const prepareKeyframes = (keyframes, { compact = false, base = {} } = {}) => {
+  let previous = {
+    position: [0, 0, 0], rotation: [0, 0, 0], spin: [0, 0, 0], scale: 1, ...base,
+    material: { ...base.material },
+  };
+  return keyframes.map(({ compact: variant, ...keyframe }) => {
+    const merged = compact && variant ? { ...keyframe, ...variant } : keyframe;
+    const frame = {
+      ...previous,
+      ...merged,
+      material: { ...previous.material, ...merged.material },
+      ease: EASINGS[merged.ease] || EASINGS.linear,
+      at: parseAt(merged.at),
+    };
+    previous = frame;
+    return frame;
+  });
+};
+
+// Scroll offset of `container` at which the keyframe is reached, or null if its section isn't on the page.
+const keyframeScroll = (container, frame) => {
+  const el = document.querySelector(frame.anchor);
+  if (!el) return null;
+  const rect = el.getBoundingClientRect();
+  const box = container.getBoundingClientRect();
+  return container.scrollTop + rect.top - box.top
+    + frame.at.element * rect.height - frame.at.viewport * container.clientHeight;
+};
+
+const lerpArray = (a, b, t) => a.map((v, i) => v + (b[i] - v) * t);
+
+const colorA = new THREE.Color();
+const colorB = new THREE.Color();
+
+const lerpMaterial = (a, b, t) => {
+  const out = {};
+  NUMERIC.forEach(key => {
+    if (a[key] !== undefined && b[key] !== undefined) out[key] = a[key] + (b[key] - a[key]) * t;
+  });
+  COLORS.forEach(key => {
+    if (a[key] !== undefined && b[key] !== undefined) {
+      out[key] = `#${colorA.set(a[key]).lerp(colorB.set(b[key]), t).getHexString()}`;
+    }
+  });
+  return out;
+};
+
+const blend = (a, b, t) => ({
+  position: lerpArray(a.position, b.position, t),
+  rotation: lerpArray(a.rotation, b.rotation, t),
+  spin: lerpArray(a.spin, b.spin, t),
+  scale: a.scale + (b.scale - a.scale) * t,
+  material: lerpMaterial(a.material, b.material, t),
+});
+
+/**
+ * Each keyframe with the scroll offset at which it is reached, skipping those
+ * whose section isn't on the page. Offsets only change with layout, so measure
+ * again on resize rather than every frame.
+ */
+export const measureKeyframes = (frames, container) => frames
+  .map(frame => ({ frame, scroll: keyframeScroll(container, frame) }))
+  .filter(({ scroll }) => scroll !== null);
+
+/** The pose at `scrollTop`, given the measured keyframes. */
+export const samplePose = (placed, scrollTop) => {
+  if (!placed.length) return null;
+
+  if (scrollTop <= placed[0].scroll) return blend(placed[0].frame, placed[0].frame, 0);
+  for (let i = 1; i < placed.length; i++) {
+    const from = placed[i - 1];
+    const to = placed[i];
+    if (scrollTop < to.scroll) {
+      const span = to.scroll - from.scroll;
+      const progress = span > 0 ? (scrollTop - from.scroll) / span : 1;
+      return blend(from.frame, to.frame, to.frame.ease(progress));
+    }
+  }
+  const last = placed[placed.length - 1].frame;
+  return blend(last, last, 0);
+};
@@ -0,0 +1,30 @@
+import { useEffect, useState } from "react";
+
+// Whether the fixed hero canvas can actually be seen: the tab is in front,
+// the canvas isn't faded out and the opaque `cover` section hasn't scrolled
+// up over the whole viewport.
+export const useSceneVisibility = ({ root, cover, opacity = 1 }) => {
+  const [pageVisible, setPageVisible] = useState(() => typeof document === 'undefined' || document.visibilityState !== 'hidden');
+  const [covered, setCovered] = useState(false);
+
+  useEffect(() => {
+    const update = () => setPageVisible(document.visibilityState !== 'hidden');
+    document.addEventListener('visibilitychange', update);
+    return () => document.removeEventListener('visibilitychange', update);
+  }, []);
+
+  useEffect(() => {
+    const el = cover.current;
+    if (!el || typeof IntersectionObserver === 'undefined') return;
+    // The root is shrunk to a strip along the top edge, so the cover only
+    // intersects it once its top has scrolled past the top of the viewport.
+    const observer = new IntersectionObserver(([entry]) => setCovered(entry.isIntersecting), {
+      root: root.current,
+      rootMargin: '0px 0px -99% 0px',
+    });
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [root, cover]);
+
+  return pageVisible && !covered && opacity > 0;
+};
@@ -0,0 +1,13 @@
+// three.js only renders through WebGL2, so that is the context worth probing for.
+export const isWebGLAvailable = () => {
+  if (typeof window === 'undefined' || !window.WebGL2RenderingContext) return false;
+  try {
+    const gl = document.createElement('canvas').getContext('webgl2');
+    if (!gl) return false;
+    // Hand the probe's context straight back; browsers cap how many can be live.
+    gl.getExtension('WEBGL_lose_context')?.loseContext();
+    return true;
+  } catch {
+    return false;
+  }
+};
@@ -0,0 +1,34 @@
+// The entry types the content schema allows, in filter-bar order. Their labels
+// are `timeline.type.*` in the locale catalogs.
+export const TIMELINE_TYPES = ['education', 'internship', 'job', 'certification'];
+
+const parseDate = (value) => {
+  const [year, month] = value.split('-').map(Number);
+  return { year, month: month ? month - 1 : null };
+};
+
+const toTime = (date) => Date.UTC(date.year, date.month ?? 0, 1);
+
+const formatter = (locale, withMonth) => new Intl.DateTimeFormat(locale, {
+  year: 'numeric',
+  ...(withMonth && { month: 'long' }),
+  timeZone: 'UTC',
+});
+
+const formatDate = (date, locale) => formatter(locale, date.month !== null).format(toTime(date));
+
+/**
+ * "2020 – 2024", "June – July 2022", "March 2023 – May 2024" or "2025 – Present",
+ * in the order and wording `locale` uses ("junio–julio de 2022" in Spanish).
+ * `end` is null for entries that are still going; `present` labels those.
+ */
+export const formatPeriod = (start, end, locale, { present = 'Present' } = {}) => {
+  const from = parseDate(start);
+  if (!end) return `${formatDate(from, locale)} – ${present}`;
+  const to = parseDate(end);
+  if ((from.month === null) === (to.month === null)) {
+    return formatter(locale, from.month !== null).formatRange(toTime(from), toTime(to));
+  }
+  // One end has a month and the other doesn't, which a single format can't show.
+  return `${formatDate(from, locale)} – ${formatDate(to, locale)}`;
+};
@@ -1,7 +1,15 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import analyticsCollector from './plugins/analytics/index.js'
+import contactEndpoint from './plugins/contact/index.js'
+import contentCollection from './plugins/content/index.js'
+import githubStats from './plugins/github/index.js'
+import ogImages from './plugins/og/index.js'
+import prerender from './plugins/prerender/index.js'
+import pwa from './plugins/pwa/index.js'
+import resume from './plugins/resume/index.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), contentCollection(), githubStats(), resume(), contactEndpoint(), analyticsCollector(), ogImages(), prerender(), pwa()],
 })